@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/* collab-server.js
+   Relay server for live collaboration ("Collaborate" in the toolbar). No dependencies: run it with
+   Node 18 or later on a machine everyone can reach, then open http://<that machine>:8787/.
+
+     node collab-server.js [--port 8787] [--host 0.0.0.0] [--data ./collab-data] [--allow-origin <origin>]
+
+   - Serves the app itself from this folder, so people on the network don't need their own copy.
+   - WebSocket endpoint /collab/<room>. Each room holds one diagram and relays edits and presence
+     (who has which heading selected) to everyone in it.
+   - Edits are CRDT operations (see "Live collaboration" in fishbone.js), so the server never has to
+     resolve conflicts: it keeps the newest value of every register and every character ever typed
+     (with its deletion), and hands that state to each person who joins.
+   - Rooms live in memory while anyone is in them; with --data they are also saved to disk, so they
+     survive everyone leaving and a restart. Without it, a room is forgotten when the last person leaves.
+   - There is no sign-in: anyone who can reach the port can join any room. Use it on a trusted network.
+   - Browsers may only connect from pages this server serves, so another site someone opens can't
+     read or change rooms. --allow-origin (repeatable) lets in a copy served from somewhere else;
+     "--allow-origin null" allows a copy opened straight from disk.
+*/
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE = 8 * 1024 * 1024; // bytes; a whole diagram sent on (re)connect fits easily
+const MAX_ROOM_NAME = 100;
+const PING_INTERVAL = 30000;
+const SAVE_DELAY = 2000;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".txt": "text/plain; charset=utf-8"
+};
+
+// ---------------- Options ----------------
+function readOptions(argv) {
+  const opts = { port: 8787, host: "0.0.0.0", data: null, allowOrigins: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (arg === "--port") { opts.port = Number(value); i++; }
+    else if (arg === "--host") { opts.host = value; i++; }
+    else if (arg === "--data") { opts.data = path.resolve(value); i++; }
+    else if (arg === "--allow-origin") { opts.allowOrigins.add(String(value || "").replace(/\/+$/, "").toLowerCase()); i++; }
+    else if (arg === "--help" || arg === "-h") {
+      console.log("Usage: node collab-server.js [--port 8787] [--host 0.0.0.0] [--data ./collab-data] [--allow-origin <origin>]");
+      process.exit(0);
+    } else {
+      console.error(`Unknown option ${arg} (try --help)`);
+      process.exit(1);
+    }
+  }
+  if (!Number.isInteger(opts.port) || opts.port < 1 || opts.port > 65535) {
+    console.error("--port needs a number between 1 and 65535");
+    process.exit(1);
+  }
+  return opts;
+}
+
+const options = readOptions(process.argv.slice(2));
+const APP_DIR = __dirname;
+
+// ---------------- Rooms ----------------
+// A room's state is the merge of every operation it has seen:
+//   regs:  "[id,field]" -> the register operation with the newest timestamp
+//   texts: "[id,field]" -> { chars: Map charId -> [charId, afterId, ch], dels: Set charId }
+const rooms = new Map();
+
+function isStr(v) { return typeof v === "string"; }
+
+function tsAfter(a, b) {
+  return a[0] > b[0] || (a[0] === b[0] && a[1] > b[1]);
+}
+
+// Operations come from browsers we don't control: anything malformed is dropped
+function validOp(op) {
+  if (!op || typeof op !== "object") return false;
+  if (op.k) {
+    return Array.isArray(op.k) && op.k.length === 2 && op.k.every(isStr) &&
+      Array.isArray(op.ts) && op.ts.length === 2 && Number.isFinite(op.ts[0]) && isStr(op.ts[1]);
+  }
+  if (op.t) {
+    return Array.isArray(op.t) && op.t.length === 2 && op.t.every(isStr) &&
+      (op.ins === undefined || (Array.isArray(op.ins) && op.ins.every(c => Array.isArray(c) && c.length === 3 && c.every(isStr)))) &&
+      (op.del === undefined || (Array.isArray(op.del) && op.del.every(isStr)));
+  }
+  return false;
+}
+
+function mergeOp(room, op) {
+  if (op.k) {
+    const key = JSON.stringify(op.k);
+    const cur = room.regs.get(key);
+    if (!cur || tsAfter(op.ts, cur.ts)) room.regs.set(key, op);
+    return;
+  }
+  const key = JSON.stringify(op.t);
+  let text = room.texts.get(key);
+  if (!text) room.texts.set(key, text = { chars: new Map(), dels: new Set() });
+  (op.ins || []).forEach(c => { if (!text.chars.has(c[0])) text.chars.set(c[0], c); });
+  (op.del || []).forEach(id => text.dels.add(id));
+}
+
+// The whole room as operations, for people joining
+function roomOps(room) {
+  const ops = [...room.regs.values()];
+  room.texts.forEach((text, key) => {
+    ops.push({ t: JSON.parse(key), ins: [...text.chars.values()], del: [...text.dels] });
+  });
+  return ops;
+}
+
+function roomFile(name) {
+  return path.join(options.data, encodeURIComponent(name) + ".json");
+}
+
+function getRoom(name) {
+  let room = rooms.get(name);
+  if (room) return room;
+  room = { name, regs: new Map(), texts: new Map(), conns: new Set(), saveTimer: null };
+  if (options.data) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(roomFile(name), "utf8"));
+      (saved.ops || []).filter(validOp).forEach(op => mergeOp(room, op));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.error(`Could not read room "${name}":`, e.message);
+    }
+  }
+  rooms.set(name, room);
+  return room;
+}
+
+function scheduleSave(room) {
+  if (!options.data || room.saveTimer) return;
+  room.saveTimer = setTimeout(() => saveRoom(room), SAVE_DELAY);
+}
+
+function saveRoom(room) {
+  clearTimeout(room.saveTimer);
+  room.saveTimer = null;
+  const tmp = roomFile(room.name) + ".tmp";
+  try {
+    fs.writeFileSync(tmp, JSON.stringify({ room: room.name, saved: new Date().toISOString(), ops: roomOps(room) }));
+    fs.renameSync(tmp, roomFile(room.name));
+  } catch (e) {
+    console.error(`Could not save room "${room.name}":`, e.message);
+  }
+}
+
+// An empty room is dropped from memory (after a pending save); getRoom reloads it from --data
+function closeRoomIfEmpty(room) {
+  if (room.conns.size || rooms.get(room.name) !== room) return;
+  if (room.saveTimer) saveRoom(room);
+  rooms.delete(room.name);
+}
+
+// ---------------- Messages ----------------
+function send(conn, msg) {
+  sendFrame(conn, 0x1, Buffer.from(JSON.stringify(msg), "utf8"));
+}
+
+function broadcast(room, msg, except) {
+  const data = Buffer.from(JSON.stringify(msg), "utf8");
+  room.conns.forEach(c => { if (c !== except && c.hello) sendFrame(c, 0x1, data); });
+}
+
+function presenceOf(conn) {
+  return { type: "presence", client: conn.client, name: conn.name, color: conn.color, blockId: conn.blockId };
+}
+
+function onMessage(conn, text) {
+  let msg;
+  try { msg = JSON.parse(text); } catch (e) { return; }
+  if (!msg || typeof msg !== "object") return;
+  const room = conn.room;
+
+  if (msg.type === "hello") {
+    conn.client = isStr(msg.client) ? msg.client.slice(0, 40) : crypto.randomUUID();
+    conn.name = isStr(msg.name) ? msg.name.slice(0, 60) : "";
+    conn.color = isStr(msg.color) ? msg.color.slice(0, 20) : "";
+    conn.blockId = null;
+    const peers = [...room.conns].filter(c => c !== conn && c.hello).map(presenceOf);
+    conn.hello = true;
+    send(conn, { type: "welcome", ops: roomOps(room), peers });
+    broadcast(room, presenceOf(conn), conn);
+    return;
+  }
+  if (!conn.hello) return;
+
+  if (msg.type === "ops" && Array.isArray(msg.ops)) {
+    const ops = msg.ops.filter(validOp);
+    if (!ops.length) return;
+    ops.forEach(op => mergeOp(room, op));
+    broadcast(room, { type: "ops", ops }, conn);
+    scheduleSave(room);
+  } else if (msg.type === "presence") {
+    conn.blockId = isStr(msg.blockId) ? msg.blockId : null;
+    broadcast(room, presenceOf(conn), conn);
+  }
+}
+
+// ---------------- WebSocket framing (RFC 6455, server side) ----------------
+function sendFrame(conn, opcode, data) {
+  if (conn.socket.destroyed) return;
+  let head;
+  if (data.length < 126) {
+    head = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(data.length, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  conn.socket.write(Buffer.concat([head, data]));
+}
+
+function closeConn(conn, code) {
+  const body = Buffer.alloc(2);
+  body.writeUInt16BE(code, 0);
+  sendFrame(conn, 0x8, body);
+  conn.socket.end();
+}
+
+function readFrames(conn, chunk) {
+  conn.buf = conn.buf.length ? Buffer.concat([conn.buf, chunk]) : chunk;
+  for (;;) {
+    const b = conn.buf;
+    if (b.length < 2) return;
+    const fin = (b[0] & 0x80) !== 0;
+    const opcode = b[0] & 0x0f;
+    const masked = (b[1] & 0x80) !== 0;
+    let len = b[1] & 0x7f;
+    let off = 2;
+    if (len === 126) {
+      if (b.length < 4) return;
+      len = b.readUInt16BE(2);
+      off = 4;
+    } else if (len === 127) {
+      if (b.length < 10) return;
+      const big = b.readBigUInt64BE(2);
+      if (big > BigInt(MAX_MESSAGE)) return closeConn(conn, 1009);
+      len = Number(big);
+      off = 10;
+    }
+    if (!masked) return closeConn(conn, 1002); // browsers always mask
+    if (len > MAX_MESSAGE) return closeConn(conn, 1009);
+    if (b.length < off + 4 + len) return;
+
+    const mask = b.subarray(off, off + 4);
+    const payload = Buffer.from(b.subarray(off + 4, off + 4 + len));
+    for (let i = 0; i < len; i++) payload[i] ^= mask[i & 3];
+    conn.buf = b.subarray(off + 4 + len);
+
+    if (opcode === 0x8) { closeConn(conn, 1000); return; }
+    if (opcode === 0x9) { sendFrame(conn, 0xA, payload); continue; }
+    if (opcode === 0xA) { conn.alive = true; continue; }
+
+    if (opcode === 0x1 || opcode === 0x2) {
+      conn.parts = [payload];
+      conn.partsLen = len;
+    } else if (opcode === 0x0 && conn.parts) {
+      conn.parts.push(payload);
+      conn.partsLen += len;
+      if (conn.partsLen > MAX_MESSAGE) return closeConn(conn, 1009);
+    } else {
+      return closeConn(conn, 1002);
+    }
+    if (fin) {
+      const text = Buffer.concat(conn.parts).toString("utf8");
+      conn.parts = null;
+      onMessage(conn, text);
+    }
+  }
+}
+
+// Browsers send the page's origin with every WebSocket; other programs usually send none
+function originAllowed(req) {
+  const origin = req.headers.origin;
+  if (origin === undefined) return true;
+  const normal = String(origin).replace(/\/+$/, "").toLowerCase();
+  if (options.allowOrigins.has(normal)) return true;
+  try {
+    return new URL(normal).host === String(req.headers.host || "").toLowerCase();
+  } catch (e) {
+    return false;
+  }
+}
+
+function acceptSocket(req, socket) {
+  if (!originAllowed(req)) {
+    socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+    return;
+  }
+  const url = new URL(req.url, "http://localhost");
+  const match = /^\/collab\/([^/]+)$/.exec(url.pathname);
+  const key = req.headers["sec-websocket-key"];
+  let name = "";
+  try { name = match ? decodeURIComponent(match[1]).trim() : ""; } catch (e) { name = ""; }
+  if (!name || name.length > MAX_ROOM_NAME || !key || String(req.headers.upgrade).toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "", ""
+  ].join("\r\n"));
+  socket.setNoDelay(true);
+
+  const room = getRoom(name);
+  const conn = { socket, room, buf: Buffer.alloc(0), parts: null, partsLen: 0, alive: true, hello: false };
+  room.conns.add(conn);
+
+  socket.on("data", (chunk) => readFrames(conn, chunk));
+  socket.on("error", () => socket.destroy());
+  socket.on("end", () => socket.end()); // upgraded sockets are half-open; finish closing so the room can go
+  socket.on("close", () => {
+    room.conns.delete(conn);
+    if (conn.hello) broadcast(room, { type: "leave", client: conn.client });
+    closeRoomIfEmpty(room);
+  });
+}
+
+// Drop connections that stopped answering pings (laptop lids, flaky Wi-Fi)
+setInterval(() => {
+  rooms.forEach(room => room.conns.forEach(conn => {
+    if (!conn.alive) { conn.socket.destroy(); return; }
+    conn.alive = false;
+    sendFrame(conn, 0x9, Buffer.alloc(0));
+  }));
+}, PING_INTERVAL).unref();
+
+// ---------------- Static files (the app) ----------------
+function serveStatic(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405, { Allow: "GET, HEAD" });
+    res.end();
+    return;
+  }
+  let rel;
+  try { rel = decodeURIComponent(new URL(req.url, "http://localhost").pathname); } catch (e) { rel = ""; }
+  if (rel.endsWith("/")) rel += "index.html";
+  const file = path.join(APP_DIR, path.normalize(rel));
+  const type = CONTENT_TYPES[path.extname(file).toLowerCase()];
+  const hidden = path.relative(APP_DIR, file).split(path.sep).some(part => part.startsWith("."));
+  const inData = options.data && (file === options.data || file.startsWith(options.data + path.sep));
+  if (!file.startsWith(APP_DIR + path.sep) || hidden || inData || !type) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Not found");
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Not found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": type, "Cache-Control": "no-cache" });
+    res.end(req.method === "HEAD" ? undefined : data);
+  });
+}
+
+// ---------------- Start ----------------
+if (options.data) fs.mkdirSync(options.data, { recursive: true });
+
+const server = http.createServer(serveStatic);
+server.on("upgrade", acceptSocket);
+server.listen(options.port, options.host, () => {
+  console.log(`Fishbone collaboration server on port ${options.port}`);
+  const addresses = [];
+  Object.values(os.networkInterfaces()).forEach(list => (list || []).forEach(a => {
+    if (a.family === "IPv4" && !a.internal) addresses.push(a.address);
+  }));
+  (addresses.length ? addresses : ["localhost"]).forEach(a => console.log(`  open http://${a}:${options.port}/`));
+  console.log(options.data ? `  rooms are saved in ${options.data}` : "  rooms are kept in memory (use --data <folder> to keep them)");
+});
@@ -6,12 +6,90 @@
    - Each heading has a parameter t in [0..1] along its category bone.
    - Dragging projects the pointer onto the bone line -> updates t (so headings/ribs stay attached).
    - Floating +Heading/+Bullet toolbar anchors to the selected block (no weird “far away” controls).
-   - Always 6 categories; no category deletion.
+   - Any number of categories per side; add/delete/reorder/switch side from the settings panel.
 */
 
 (function () {
   const $ = (id) => document.getElementById(id);
 
+  // Built-in category sets offered when starting a diagram (first one is the default).
+  // Each category may list heading titles to seed; otherwise it gets one empty heading.
+  const BUILTIN_TEMPLATES = [
+    {
+      id: "6m", name: "Manufacturing (6M)",
+      description: "The classic set for production and process problems.",
+      categories: [
+        { side: "top", label: "People" },
+        { side: "top", label: "Methods" },
+        { side: "top", label: "Machines" },
+        { side: "bottom", label: "Materials" },
+        { side: "bottom", label: "Measurement" },
+        { side: "bottom", label: "Environment" }
+      ]
+    },
+    {
+      id: "8p", name: "Marketing (8P)",
+      description: "Marketing mix, extended for services and productivity.",
+      categories: [
+        { side: "top", label: "Product" },
+        { side: "top", label: "Price" },
+        { side: "top", label: "Place" },
+        { side: "top", label: "Promotion" },
+        { side: "bottom", label: "People" },
+        { side: "bottom", label: "Process" },
+        { side: "bottom", label: "Physical evidence" },
+        { side: "bottom", label: "Productivity & quality" }
+      ]
+    },
+    {
+      id: "7p", name: "Marketing (7P)",
+      description: "Services marketing mix.",
+      categories: [
+        { side: "top", label: "Product" },
+        { side: "top", label: "Price" },
+        { side: "top", label: "Place" },
+        { side: "top", label: "Promotion" },
+        { side: "bottom", label: "People" },
+        { side: "bottom", label: "Process" },
+        { side: "bottom", label: "Physical evidence" }
+      ]
+    },
+    {
+      id: "4s", name: "Service (4S)",
+      description: "For service delivery problems.",
+      categories: [
+        { side: "top", label: "Surroundings" },
+        { side: "top", label: "Suppliers" },
+        { side: "bottom", label: "Systems" },
+        { side: "bottom", label: "Skills" }
+      ]
+    },
+    {
+      id: "healthcare", name: "Healthcare",
+      description: "Patient safety and clinical incident reviews.",
+      categories: [
+        { side: "top", label: "Patient" },
+        { side: "top", label: "Staff" },
+        { side: "top", label: "Process" },
+        { side: "bottom", label: "Equipment" },
+        { side: "bottom", label: "Environment" },
+        { side: "bottom", label: "Policy" }
+      ]
+    }
+  ];
+
+  // Current saved-model format; see MIGRATIONS for how older files are upgraded
+  const MODEL_VERSION = 12;
+
+  // Logical canvas size (canvas units = CSS px before zoom) and the range it may be set or grown to
+  const CANVAS_DEFAULT = { width: 1200, height: 720 };
+  const CANVAS_LIMITS = { minWidth: 800, maxWidth: 6000, minHeight: 500, maxHeight: 4000 };
+
+  const VERIFICATION_STATES = ["unverified", "verified", "ruled-out"];
+  const ACTION_STATUSES = ["open", "in-progress", "done"];
+  const ACTION_STATUS_LABELS = { "open": "Open", "in-progress": "In progress", "done": "Done" };
+  const ATTACHMENT_KINDS = ["note", "url", "image", "file"];
+
   let model = defaultModel();
   let selected = { catId: null, blockId: null };
 
@@ -38,13 +116,15 @@
   let drag = null; // { catId, blockId }
   let effectDragState = null;
   let effectResizeObs = null;
+  const blockResizeObs = [];
 
-  function defaultModel() {
+  function defaultModel(template = BUILTIN_TEMPLATES[0]) {
     return {
-      version: 6,
+      version: MODEL_VERSION,
       effectText: "Add your problem here",
       effectPos: { dx: 0, dy: 0 },
       effectSize: { w: 180, h: 110 },
+      meta: { problem: "", team: "", facilitator: "", date: "" },
       appearance: {
         boneColor: "#8f0000",
         boneThickness: 10,
@@ -55,26 +135,408 @@
         blockWidth: 300,
         boneSlant: 50
       },
-      categories: [
-        // 6 classic categories
-        { id: uid(), side: "top",    label: "People",      blocks: [mkBlock(0.26)] },
-        { id: uid(), side: "top",    label: "Methods",     blocks: [mkBlock(0.36)] },
-        { id: uid(), side: "top",    label: "Machines",    blocks: [mkBlock(0.26)] },
-        { id: uid(), side: "bottom", label: "Materials",   blocks: [mkBlock(0.26)] },
-        { id: uid(), side: "bottom", label: "Measurement", blocks: [mkBlock(0.36)] },
-        { id: uid(), side: "bottom", label: "Environment", blocks: [mkBlock(0.26)] },
-      ]
+      // fitContent: width/height are minimums and the canvas grows to fit the headings
+      canvas: { ...CANVAS_DEFAULT, fitContent: true },
+      layout: { autoArrange: false },
+      categories: categoriesFromTemplate(template)
     };
   }
 
+  function categoriesFromTemplate(template) {
+    const sideCount = { top: 0, bottom: 0 };
+    return template.categories.map(tc => {
+      const side = tc.side === "bottom" ? "bottom" : "top";
+      // stagger neighbouring bones so their first headings don't line up
+      const baseT = (sideCount[side]++ % 2) ? 0.36 : 0.26;
+      const headings = Array.isArray(tc.headings) ? tc.headings : [];
+      const blocks = headings.length
+        ? headings.map((title, k) => ({ ...mkBlock(baseT + k * (0.6 / headings.length)), title: String(title || "") }))
+        : [mkBlock(baseT)];
+      return { id: uid(), side, label: String(tc.label || "Category"), blocks };
+    });
+  }
+
   function mkBlock(t) {
-    return { id: uid(), title: "", bullets: [""], t: clamp(t ?? 0.3, 0.08, 0.92) };
+    return { id: uid(), title: "", bullets: [mkBullet()], t: clamp(t ?? 0.3, 0.08, 0.92), ...causeMeta() };
+  }
+
+  function mkBullet(text) {
+    return { id: uid(), text: text || "", children: [], whys: [], ...causeMeta() };
+  }
+
+  // Data carried by every heading and bullet: prioritisation, corrective actions and evidence
+  function causeMeta() {
+    return { votes: 0, rootCause: false, verification: "unverified", actions: [], attachments: [] };
+  }
+
+  function mkAction() {
+    return { id: uid(), text: "", owner: "", due: "", status: "open", notes: "" };
   }
 
   function uid() {
     return Math.random().toString(16).slice(2) + Date.now().toString(16);
   }
 
+  // ---------------- Model schema, migrations, normalisation ----------------
+  // fishbone-model.schema.json documents the saved format; normalizeModel enforces it.
+  // Policy: migrate old versions forward, repair invalid values (reporting each one),
+  // drop only what cannot be repaired, and keep unknown fields untouched.
+
+  // Each migration upgrades a raw model from version N to N + 1 in place
+  const MIGRATIONS = {
+    6: (m) => {
+      eachRawBlock(m, b => {
+        if (Array.isArray(b.bullets)) b.bullets = b.bullets.map(x => (typeof x === "string" || typeof x === "number") ? { text: String(x), children: [] } : x);
+      });
+      return "Bullets converted from plain text to nestable sub-causes.";
+    },
+    7: (m) => {
+      const addCauseFields = (x) => {
+        if (!x || typeof x !== "object") return;
+        if (x.votes === undefined) x.votes = 0;
+        if (x.rootCause === undefined) x.rootCause = false;
+        if (x.verification === undefined) x.verification = "unverified";
+        if (x.actions === undefined) x.actions = [];
+        if (Array.isArray(x.children)) x.children.forEach(addCauseFields);
+      };
+      eachRawBlock(m, b => {
+        addCauseFields(b);
+        if (Array.isArray(b.bullets)) b.bullets.forEach(addCauseFields);
+      });
+      if (m.meta === undefined) m.meta = { problem: "", team: "", facilitator: "", date: "" };
+      return "Added votes, root-cause flags, verification, actions and title-block fields.";
+    },
+    8: (m) => {
+      if (m.layout === undefined) m.layout = { autoArrange: false, canvasHeight: null };
+      return "Added layout settings (auto-arrange, canvas height).";
+    },
+    9: (m) => {
+      const layout = m.layout && typeof m.layout === "object" ? m.layout : {};
+      const grown = Number(layout.canvasHeight);
+      if (m.canvas === undefined) m.canvas = { width: 1200, height: grown > 720 ? grown : 720, fitContent: true };
+      delete layout.canvasHeight;
+      return "Canvas size is now stored with the diagram (was fixed at 1200×720).";
+    },
+    10: (m) => {
+      const addAttachments = (x) => {
+        if (!x || typeof x !== "object") return;
+        if (x.attachments === undefined) x.attachments = [];
+        if (Array.isArray(x.children)) x.children.forEach(addAttachments);
+      };
+      eachRawBlock(m, b => {
+        addAttachments(b);
+        if (Array.isArray(b.bullets)) b.bullets.forEach(addAttachments);
+      });
+      return "Added evidence attachments to headings and bullets.";
+    },
+    11: (m) => {
+      const addWhys = (x) => {
+        if (!x || typeof x !== "object") return;
+        if (x.whys === undefined) x.whys = [];
+        if (Array.isArray(x.children)) x.children.forEach(addWhys);
+      };
+      eachRawBlock(m, b => { if (Array.isArray(b.bullets)) b.bullets.forEach(addWhys); });
+      return "Added 5 Whys chains to bullets.";
+    }
+  };
+
+  function eachRawBlock(m, fn) {
+    (Array.isArray(m.categories) ? m.categories : []).forEach(c => {
+      if (c && Array.isArray(c.blocks)) c.blocks.forEach(b => { if (b && typeof b === "object") fn(b); });
+    });
+  }
+
+  // Collects what normalisation changed, for the import report
+  function makeImportReport() {
+    return { migrated: [], fixed: [], dropped: [], kept: [] };
+  }
+
+  function migrateModel(obj, report) {
+    let version = Number(obj.version);
+    if (!Number.isInteger(version) || version < 6) {
+      if (obj.version !== undefined) report.fixed.push(`version: ${JSON.stringify(obj.version)} is not a known version, treated as 6`);
+      version = 6;
+    }
+    if (version > MODEL_VERSION) {
+      report.migrated.push(`Made by a newer version of the tool (v${version}); fields this version does not know are kept as they are.`);
+      return;
+    }
+    while (version < MODEL_VERSION) {
+      const note = MIGRATIONS[version](obj);
+      report.migrated.push(`v${version} → v${version + 1}: ${note}`);
+      version += 1;
+    }
+  }
+
+  // Turn any parsed JSON (imported file, autosaved diagram, outline/CSV import) into a valid model.
+  // Pass a report from makeImportReport() to find out what was changed.
+  function normalizeModel(input, report) {
+    report = report || makeImportReport();
+    const def = defaultModel();
+    const obj = input && typeof input === "object" && !Array.isArray(input) ? JSON.parse(JSON.stringify(input)) : {};
+    migrateModel(obj, report);
+
+    const seenIds = new Set();
+    const isObj = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+    // unknown keys are carried over verbatim (and listed once per path)
+    const keepUnknown = (src, known, path) => {
+      const extra = {};
+      Object.keys(src).forEach(k => {
+        if (known.includes(k)) return;
+        extra[k] = src[k];
+        report.kept.push(path ? `${path}.${k}` : k);
+      });
+      return extra;
+    };
+    const at = (path, key) => path ? `${path}.${key}` : key;
+    const str = (src, key, path, fallback) => {
+      const v = src[key];
+      if (v === undefined || v === null) return fallback;
+      if (typeof v === "string") return v;
+      if (typeof v === "number" || typeof v === "boolean") {
+        report.fixed.push(`${at(path, key)}: ${JSON.stringify(v)} converted to text`);
+        return String(v);
+      }
+      report.fixed.push(`${at(path, key)}: not text, replaced with ${JSON.stringify(fallback)}`);
+      return fallback;
+    };
+    const num = (src, key, path, fallback, min, max) => {
+      const v = src[key];
+      if (v === undefined || v === null) return fallback;
+      const n = typeof v === "string" && v.trim() ? Number(v) : v;
+      if (typeof n !== "number" || !isFinite(n)) {
+        report.fixed.push(`${at(path, key)}: ${JSON.stringify(v)} is not a number, replaced with ${fallback}`);
+        return fallback;
+      }
+      if (typeof v === "string") report.fixed.push(`${at(path, key)}: ${JSON.stringify(v)} converted to a number`);
+      const c = clamp(n, min, max);
+      if (c !== n) report.fixed.push(`${at(path, key)}: ${n} is out of range, clamped to ${c}`);
+      return c;
+    };
+    const bool = (src, key, path) => {
+      const v = src[key];
+      if (v === undefined || v === null) return false;
+      if (typeof v !== "boolean") report.fixed.push(`${at(path, key)}: ${JSON.stringify(v)} converted to ${!!v}`);
+      return !!v;
+    };
+    const oneOf = (src, key, path, allowed) => {
+      const v = src[key];
+      if (v === undefined || v === null) return allowed[0];
+      if (allowed.includes(v)) return v;
+      report.fixed.push(`${at(path, key)}: ${JSON.stringify(v)} is not one of ${allowed.join("/")}, set to ${allowed[0]}`);
+      return allowed[0];
+    };
+    const id = (src, path) => {
+      let v = src.id;
+      if (typeof v === "number") v = String(v);
+      if (typeof v !== "string" || !v) v = uid();
+      else if (seenIds.has(v)) {
+        report.fixed.push(`${at(path, "id")}: duplicate id "${v}" replaced`);
+        v = uid();
+      }
+      seenIds.add(v);
+      return v;
+    };
+    const list = (src, key, path, each) => {
+      const v = src[key];
+      if (v === undefined || v === null) return [];
+      if (!Array.isArray(v)) {
+        report.dropped.push(`${at(path, key)}: not a list`);
+        return [];
+      }
+      const out = [];
+      v.forEach((x, i) => {
+        const item = each(x, `${at(path, key)}[${i}]`);
+        if (item) out.push(item);
+        else report.dropped.push(`${at(path, key)}[${i}]: ${String(JSON.stringify(x)).slice(0, 60)} is not a valid entry`);
+      });
+      return out;
+    };
+
+    const normAction = (src, path) => {
+      if (!isObj(src)) return null;
+      const due = str(src, "due", path, "");
+      const dueOk = !due || /^\d{4}-\d{2}-\d{2}$/.test(due);
+      if (!dueOk) report.fixed.push(`${at(path, "due")}: ${JSON.stringify(due)} is not a YYYY-MM-DD date, cleared`);
+      return {
+        ...keepUnknown(src, ["id", "text", "owner", "due", "status", "notes"], path),
+        id: id(src, path),
+        text: str(src, "text", path, ""),
+        owner: str(src, "owner", path, ""),
+        due: dueOk ? due : "",
+        status: oneOf(src, "status", path, ACTION_STATUSES),
+        notes: str(src, "notes", path, "")
+      };
+    };
+    // attachments keep only the fields of their kind; embedded data must be a data: URL
+    const normAttachment = (src, path) => {
+      if (!isObj(src) || !ATTACHMENT_KINDS.includes(src.kind)) return null;
+      const kind = src.kind;
+      const fields = kind === "note" ? ["text"] : kind === "url" ? ["name", "url"] : ["name", "mime", "size", "data"];
+      const att = {
+        ...keepUnknown(src, ["id", "kind", "added", "text", "name", "url", "mime", "size", "data"], path),
+        id: id(src, path),
+        kind,
+        added: str(src, "added", path, "")
+      };
+      fields.forEach(k => { att[k] = k === "size" ? Math.round(num(src, k, path, 0, 0, 1e12)) : str(src, k, path, ""); });
+      if (att.data && !/^data:/i.test(att.data)) {
+        report.fixed.push(`${at(path, "data")}: not a data: URL, removed`);
+        att.data = "";
+      }
+      return att;
+    };
+    const CAUSE_KEYS = ["votes", "rootCause", "verification", "actions", "attachments"];
+    const normCause = (src, path) => ({
+      votes: Math.round(num(src, "votes", path, 0, 0, 1e6)),
+      rootCause: bool(src, "rootCause", path),
+      verification: oneOf(src, "verification", path, VERIFICATION_STATES),
+      actions: list(src, "actions", path, normAction),
+      attachments: list(src, "attachments", path, normAttachment)
+    });
+    const normWhy = (src, path) => {
+      if (!isObj(src)) return null;
+      return {
+        ...keepUnknown(src, ["id", "text", "rootCause"], path),
+        id: id(src, path),
+        text: str(src, "text", path, ""),
+        rootCause: bool(src, "rootCause", path)
+      };
+    };
+    const normBullet = (src, path) => {
+      if (typeof src === "string" || typeof src === "number") {
+        report.fixed.push(`${path}: plain text converted to a bullet`);
+        src = { text: String(src) };
+      }
+      if (!isObj(src)) return null;
+      const whys = list(src, "whys", path, normWhy);
+      // only the last answer of a 5 Whys chain can be the root cause
+      whys.slice(0, -1).forEach((w, i) => {
+        if (!w.rootCause) return;
+        report.fixed.push(`${at(path, "whys")}[${i}].rootCause: only the last answer can be the root cause, cleared`);
+        w.rootCause = false;
+      });
+      return {
+        ...keepUnknown(src, ["id", "text", "children", "whys"].concat(CAUSE_KEYS), path),
+        id: id(src, path),
+        text: str(src, "text", path, ""),
+        children: list(src, "children", path, normBullet),
+        whys,
+        ...normCause(src, path)
+      };
+    };
+    const normBlock = (src, path) => {
+      if (!isObj(src)) return null;
+      const block = {
+        ...keepUnknown(src, ["id", "title", "bullets", "t", "w"].concat(CAUSE_KEYS), path),
+        id: id(src, path),
+        title: str(src, "title", path, ""),
+        bullets: Array.isArray(src.bullets) ? list(src, "bullets", path, normBullet) : [mkBullet()],
+        t: num(src, "t", path, 0.3, 0.08, 0.92),
+        ...normCause(src, path)
+      };
+      // per-heading width set by resizing the block on the canvas
+      if (src.w !== undefined && src.w !== null) block.w = num(src, "w", path, def.appearance.blockWidth, 180, 520);
+      return block;
+    };
+    // keep however many categories the source has (falling back to the defaults if none);
+    // sources without a side split first half top / second half bottom, like the defaults
+    let cats = obj.categories;
+    if (!Array.isArray(cats) || !cats.length) {
+      if (cats !== undefined) report.fixed.push("categories: missing or empty, default categories used");
+      cats = def.categories;
+    }
+    const normCategory = (src, path) => {
+      if (!isObj(src)) return null;
+      const i = cats.indexOf(src);
+      let side = src.side;
+      if (side !== "top" && side !== "bottom") {
+        side = i < Math.ceil(cats.length / 2) ? "top" : "bottom";
+        if (src.side !== undefined) report.fixed.push(`${at(path, "side")}: ${JSON.stringify(src.side)} is not top/bottom, set to ${side}`);
+      }
+      const blocks = list(src, "blocks", path, normBlock);
+      return {
+        ...keepUnknown(src, ["id", "side", "label", "blocks"], path),
+        id: id(src, path),
+        side,
+        label: str(src, "label", path, "Category") || "Category",
+        blocks: blocks.length ? blocks : [mkBlock(0.3)]
+      };
+    };
+
+    const pos = isObj(obj.effectPos) ? obj.effectPos : {};
+    const size = isObj(obj.effectSize) ? obj.effectSize : {};
+    const meta = isObj(obj.meta) ? obj.meta : {};
+    const app = isObj(obj.appearance) ? obj.appearance : {};
+    const layout = isObj(obj.layout) ? obj.layout : {};
+    const canvas = isObj(obj.canvas) ? obj.canvas : {};
+    const da = def.appearance;
+    const color = str(app, "boneColor", "appearance", da.boneColor);
+    const colorOk = /^#[0-9a-f]{6}$/i.test(color);
+    if (!colorOk) report.fixed.push(`appearance.boneColor: ${JSON.stringify(color)} is not a #rrggbb colour, reset`);
+
+    const categories = list({ categories: cats }, "categories", "", normCategory);
+    return {
+      ...keepUnknown(obj, ["version", "effectText", "effectPos", "effectSize", "meta", "appearance", "canvas", "layout", "categories"], ""),
+      version: Math.max(MODEL_VERSION, Number(obj.version) || 0),
+      effectText: str(obj, "effectText", "", def.effectText),
+      effectPos: {
+        ...keepUnknown(pos, ["dx", "dy"], "effectPos"),
+        dx: num(pos, "dx", "effectPos", 0, -5000, 5000),
+        dy: num(pos, "dy", "effectPos", 0, -5000, 5000)
+      },
+      effectSize: {
+        ...keepUnknown(size, ["w", "h"], "effectSize"),
+        w: num(size, "w", "effectSize", def.effectSize.w, 120, 800),
+        h: num(size, "h", "effectSize", def.effectSize.h, 70, 700)
+      },
+      meta: {
+        ...keepUnknown(meta, Object.keys(def.meta), "meta"),
+        ...Object.fromEntries(Object.keys(def.meta).map(k => [k, str(meta, k, "meta", "")]))
+      },
+      appearance: {
+        ...keepUnknown(app, Object.keys(da), "appearance"),
+        boneColor: colorOk ? color : da.boneColor,
+        boneThickness: num(app, "boneThickness", "appearance", da.boneThickness, 4, 18),
+        fontSize: num(app, "fontSize", "appearance", da.fontSize, 10, 16),
+        arrowWidth: num(app, "arrowWidth", "appearance", da.arrowWidth, 100, 200),
+        labelWidth: num(app, "labelWidth", "appearance", da.labelWidth, 160, 500),
+        ribLength: num(app, "ribLength", "appearance", da.ribLength, 90, 260),
+        blockWidth: num(app, "blockWidth", "appearance", da.blockWidth, 180, 520),
+        boneSlant: num(app, "boneSlant", "appearance", da.boneSlant, 0, 100)
+      },
+      canvas: {
+        ...keepUnknown(canvas, ["width", "height", "fitContent"], "canvas"),
+        width: Math.round(num(canvas, "width", "canvas", CANVAS_DEFAULT.width, CANVAS_LIMITS.minWidth, CANVAS_LIMITS.maxWidth)),
+        height: Math.round(num(canvas, "height", "canvas", CANVAS_DEFAULT.height, CANVAS_LIMITS.minHeight, CANVAS_LIMITS.maxHeight)),
+        fitContent: canvas.fitContent === undefined ? true : bool(canvas, "fitContent", "canvas")
+      },
+      layout: {
+        ...keepUnknown(layout, ["autoArrange"], "layout"),
+        autoArrange: bool(layout, "autoArrange", "layout")
+      },
+      categories: categories.length ? categories : def.categories
+    };
+  }
+
+  // Swap in a different model (import, reset, library open) and redraw everything
+  function loadModel(next) {
+    model = next;
+    selected = { catId: null, blockId: null };
+    syncControlsFromModel();
+    renderAll();
+  }
+
+  // Every edit to `model` ends here. Edits sharing a coalesceKey in quick
+  // succession (typing, slider drags) become a single undo step.
+  function modelChanged(coalesceKey) {
+    recordHistory(coalesceKey);
+    scheduleAutosave();
+    if (collabSession?.joined) collabLocalChange(coalesceKey);
+    scheduleSearch();
+  }
+
   // ---------------- Appearance ----------------
   function applyAppearance() {
     const a = model.appearance || {};
@@ -112,8 +574,15 @@
 
     renderLabels();
     renderBlocks();
+    renderCategoryPanel();
+    // leave the panel alone while a note in it is being typed
+    if (evidenceTarget && !evidencePanel.contains(document.activeElement)) renderEvidence();
+    if (searchActive()) applySearch();
+    if (sharedView) lockEditing();
+    if (presentation) showPresentationStep(false);
 
     requestAnimationFrame(() => {
+      updateCanvas();
       drawStaticBones();
       positionBlocks();
       drawRibs();
@@ -136,7 +605,13 @@
       el.contentEditable = "true";
       el.spellcheck = false;
       el.textContent = cat.label || "";
-      el.addEventListener("input", () => { cat.label = el.textContent.trim() || "Category"; });
+      el.setAttribute("aria-label", `Category name (${cat.side} side)`);
+      el.addEventListener("input", () => {
+        cat.label = el.textContent.trim() || "Category";
+        modelChanged("label:" + cat.id);
+        renderCategoryPanel();
+        updateTreeLabels();
+      });
       labelsLayer.appendChild(el);
     });
   }
@@ -144,6 +619,8 @@
   // Blocks rendered into wrapper-level blocksLayer (bone-relative positioning)
   function renderBlocks() {
     blocksLayer.innerHTML = "";
+    blockResizeObs.forEach(ro => ro.disconnect());
+    blockResizeObs.length = 0;
 
     model.categories.forEach(cat => {
       cat.blocks.forEach(block => {
@@ -151,6 +628,9 @@
         blockEl.className = "block";
         blockEl.dataset.catId = cat.id;
         blockEl.dataset.blockId = block.id;
+        blockEl.tabIndex = -1; // focusable for keyboard navigation; refreshSelectionUI picks the tab stop
+        blockEl.setAttribute("role", "treeitem");
+        blockEl.setAttribute("aria-level", "1");
 
 	if (block.w) blockEl.style.width = block.w + "px";
 
@@ -159,17 +639,28 @@
 	  e.stopPropagation(); // ← prevents background deselect
 	  select(cat.id, block.id);
 	});
+        blockEl.addEventListener("focusin", () => {
+          if (selected.blockId !== block.id) select(cat.id, block.id);
+        });
+        blockEl.addEventListener("keydown", (e) => onBlockKeydown(e, cat, block));
 
 	// Persist per-block width when user resizes
 	if ("ResizeObserver" in window) {
+	  let lastW = null;
 	  const ro = new ResizeObserver(() => {
-	    const r = blockEl.getBoundingClientRect();
-	    block.w = clamp(Math.round(r.width), 180, 520);
+	    const w = clamp(Math.round(blockEl.offsetWidth), 180, 520); // canvas units at any zoom
+	    // The first callback only reports the initial layout; height changes from typing are not resizes
+	    if (lastW !== null && w !== lastW) {
+	      block.w = w;
+	      modelChanged("width:" + block.id);
+	    }
+	    lastW = w;
 	    // Reposition so rib/placement stays consistent after resize
 	    positionBlocks();
 	    updateFloatingTools();
 	  });
 	  ro.observe(blockEl);
+	  blockResizeObs.push(ro);
 	}
 
 
@@ -180,6 +671,13 @@
         handle.className = "dragHandle";
         handle.textContent = "⠿";
         handle.title = "Drag along the category bone";
+        // keyboard/screen-reader alternative to dragging: a slider for the position on the bone
+        handle.tabIndex = 0;
+        handle.setAttribute("role", "slider");
+        handle.setAttribute("aria-label", "Position along the category bone");
+        handle.setAttribute("aria-valuemin", "8");
+        handle.setAttribute("aria-valuemax", "92");
+        handle.addEventListener("keydown", (e) => onHandleKeydown(e, cat, block));
         handle.addEventListener("pointerdown", (e) => {
         e.preventDefault();
         e.stopPropagation();
@@ -193,8 +691,14 @@
         titleText.contentEditable = "true";
         titleText.spellcheck = false;
 	titleText.dataset.placeholder = "Add a heading…";
+        titleText.setAttribute("aria-label", "Heading");
         titleText.textContent = block.title || "";
-        titleText.addEventListener("input", () => { block.title = titleText.textContent.trim(); });
+        titleText.addEventListener("input", () => { block.title = titleText.textContent.trim(); modelChanged("title:" + block.id); updateTreeLabels(); });
+        titleText.addEventListener("keydown", (e) => {
+          if (e.key !== "Enter" || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+          e.preventDefault();
+          addBullet(block, null); // Enter in a heading starts its first bullet
+        });
 
         // Make the delete button a separate, non-editable control
 	const delBlock = document.createElement("span");
@@ -202,65 +706,22 @@
 	delBlock.textContent = "✕";
 	delBlock.title = "Delete heading";
 	delBlock.setAttribute("contenteditable", "false");
+	delBlock.setAttribute("role", "button");
+	delBlock.setAttribute("aria-label", "Delete heading");
 	delBlock.addEventListener("click", (e) => {
 	  e.stopPropagation();
-	  const ok = window.confirm("Delete this heading and all its bullets?");
-	  if (!ok) return;
-	  cat.blocks = cat.blocks.filter(b => b.id !== block.id);
-	if (cat.blocks.length === 0) {
-	  cat.blocks.push({
-	    id: uid(),
-	    title: "",
-	    bullets: [""],
-	    t: 0.3   // sensible default position on the bone
-	  });
-	}
-	  if (selected.blockId === block.id) selected = { catId: null, blockId: null };
-	  renderAll();
+	  deleteBlock(cat, block);
 	});
 	
 	titleRow.appendChild(handle);
 	titleRow.appendChild(titleText);
+	titleRow.appendChild(renderCauseBadges(block));
+	titleRow.appendChild(renderCauseMenuButton(cat, block, block));
 	titleRow.appendChild(delBlock);
+	blockEl.classList.toggle("is-ruled-out", block.verification === "ruled-out");
 
 
-        const ul = document.createElement("ul");
-        ul.className = "bullets";
-
-        (block.bullets || []).forEach((txt, i) => {
-	  const li = document.createElement("li");
-	  li.style.position = "relative";
-	
-	  // ✅ editable bullet text is a child span (so <li> stays non-editable)
-	  const bulletText = document.createElement("span");
-	  bulletText.className = "editable bulletText";
-	  bulletText.contentEditable = "true";
-	  bulletText.spellcheck = false;
-	  bulletText.dataset.placeholder = "Add a bullet…";
-	  bulletText.textContent = (txt || "");
-
-	  bulletText.addEventListener("input", () => {
-	    block.bullets[i] = bulletText.textContent.trim();
-	  });
-
-	  // ✅ delete button is separate + non-editable (like header X)
-	  const del = document.createElement("span");
-	  del.className = "delBtn bulletDel";
-	  del.textContent = "✕";
-	  del.title = "Delete bullet";
-	  del.setAttribute("contenteditable", "false");
-	  del.addEventListener("click", (e) => {
-	    e.stopPropagation();
-	    block.bullets.splice(i, 1);
-	    if (block.bullets.length === 0) block.bullets.push("");
-	    renderAll();
-	  });
-
-	  li.appendChild(bulletText);
-	  li.appendChild(del);
-	  ul.appendChild(li);
-	});
-
+        const ul = renderBulletList(cat, block, block.bullets || [], 0);
 
         blockEl.appendChild(titleRow);
         blockEl.appendChild(ul);
@@ -268,599 +729,5161 @@
       });
     });
 
+    updateTreeLabels();
     refreshSelectionUI();
   }
 
-  function select(catId, blockId) {
-    selected = { catId, blockId };
-    refreshSelectionUI();
-    updateFloatingTools();
+  // Bullets nest to any depth: each bullet is { id, text, children: [bullets] }
+  function renderBulletList(cat, block, list, depth) {
+    const ul = document.createElement("ul");
+    ul.className = "bullets";
+    ul.dataset.depth = depth;
+    ul.setAttribute("role", "group");
+
+    list.forEach(bullet => {
+      const li = document.createElement("li");
+      li.style.position = "relative";
+      li.dataset.bulletId = bullet.id;
+      li.setAttribute("role", "treeitem");
+
+      // ✅ editable bullet text is a child span (so <li> stays non-editable)
+      const bulletText = document.createElement("span");
+      bulletText.className = "editable bulletText";
+      bulletText.contentEditable = "true";
+      bulletText.spellcheck = false;
+      bulletText.dataset.placeholder = depth ? "Add a sub-cause…" : "Add a bullet…";
+      bulletText.dataset.depth = depth;
+      bulletText.setAttribute("aria-label", depth ? "Sub-cause" : "Cause");
+      bulletText.textContent = bullet.text || "";
+
+      bulletText.addEventListener("input", () => {
+        bullet.text = bulletText.textContent.trim();
+        modelChanged("bullet:" + bullet.id);
+        updateTreeLabels();
+      });
+
+      // Tab / Shift+Tab turn a bullet into a sub-cause of the one above, or back out a level;
+      // Enter starts the next bullet and Backspace on an empty bullet removes it
+      bulletText.addEventListener("keydown", (e) => {
+        if (e.key === "Tab") {
+          e.preventDefault();
+          if (e.shiftKey) outdentBullet(block, bullet.id);
+          else indentBullet(block, bullet.id);
+        } else if (e.key === "Enter" && !(e.ctrlKey || e.metaKey || e.shiftKey || e.altKey)) {
+          e.preventDefault();
+          addBullet(block, bullet.id);
+        } else if (e.key === "Backspace" && !bulletText.textContent && !bullet.children.length) {
+          e.preventDefault();
+          removeEmptyBullet(block, bullet.id);
+        }
+      });
+
+      // ✅ delete button is separate + non-editable (like header X)
+      const del = document.createElement("span");
+      del.className = "delBtn bulletDel";
+      del.textContent = "✕";
+      del.title = bullet.children.length ? "Delete bullet and its sub-causes" : "Delete bullet";
+      del.setAttribute("contenteditable", "false");
+      del.setAttribute("role", "button");
+      del.setAttribute("aria-label", del.title);
+      del.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const loc = findBullet(block.bullets, bullet.id);
+        if (!loc) return;
+        loc.list.splice(loc.index, 1);
+        if (block.bullets.length === 0) block.bullets.push(mkBullet());
+        modelChanged();
+        renderAll();
+        announce(bullet.children.length ? "Bullet and its sub-causes deleted." : "Bullet deleted.");
+      });
+
+      const grip = document.createElement("span");
+      grip.className = "bulletGrip";
+      grip.textContent = "⠿";
+      grip.title = "Drag to another place or heading";
+      grip.setAttribute("contenteditable", "false");
+      grip.setAttribute("aria-hidden", "true"); // the cause menu's "Move to" is the keyboard route
+      grip.addEventListener("pointerdown", (e) => startBulletDrag(cat, block, bullet, li, e));
+
+      li.classList.toggle("is-ruled-out", bullet.verification === "ruled-out");
+      li.appendChild(grip);
+      li.appendChild(bulletText);
+      li.appendChild(renderCauseBadges(bullet));
+      li.appendChild(renderCauseMenuButton(cat, block, bullet));
+      li.appendChild(del);
+      if (bullet.whys.length) li.appendChild(renderWhysTrail(cat, block, bullet));
+      if (bullet.children.length) li.appendChild(renderBulletList(cat, block, bullet.children, depth + 1));
+      ul.appendChild(li);
+    });
+
+    return ul;
   }
 
-  function refreshSelectionUI() {
-    const all = blocksLayer.querySelectorAll(".block");
-    all.forEach(b => b.classList.toggle("is-selected", b.dataset.blockId === selected.blockId));
+  // Visit every cause (headings, then their bullets depth-first) with its context
+  function walkCauses(fn) {
+    model.categories.forEach(cat => {
+      cat.blocks.forEach(block => {
+        fn({ kind: "heading", item: block, cat, block, depth: 0, parents: [] });
+        const walk = (list, depth, parents) => list.forEach(b => {
+          fn({ kind: "bullet", item: b, cat, block, depth, parents });
+          walk(b.children, depth + 1, parents.concat(b));
+        });
+        walk(block.bullets || [], 1, []);
+      });
+    });
   }
 
-  // ---------------- Bones ----------------
-  function ensureGroups() {
-    if (!gStatic) { gStatic = document.createElementNS("http://www.w3.org/2000/svg", "g"); svg.appendChild(gStatic); }
-    if (!gRibs) { gRibs = document.createElementNS("http://www.w3.org/2000/svg", "g"); svg.appendChild(gRibs); }
+  function causeText(c) {
+    return (c.kind === "heading" ? c.item.title : c.item.text) || "";
   }
-  function clearGroup(g){ while(g.firstChild) g.removeChild(g.firstChild); }
 
-  function drawStaticBones() {
-    ensureGroups();
-    clearGroup(gStatic);
-    catBones.clear();
+  // Locate a bullet anywhere in a tree: its containing list, index, and parent bullet (if nested)
+  function findBullet(list, id, parent = null, parentLoc = null) {
+    for (let i = 0; i < list.length; i++) {
+      const b = list[i];
+      if (b.id === id) return { list, index: i, bullet: b, parent, parentLoc };
+      const hit = findBullet(b.children, id, b, { list, index: i });
+      if (hit) return hit;
+    }
+    return null;
+  }
 
-    const W = 1200, H = 720;
-    const midY = Math.round(H * 0.5);
+  function indentBullet(block, bulletId) {
+    const loc = findBullet(block.bullets, bulletId);
+    if (!loc || loc.index === 0) return; // needs a bullet above it to nest under
+    const prev = loc.list[loc.index - 1];
+    loc.list.splice(loc.index, 1);
+    prev.children.push(loc.bullet);
+    modelChanged();
+    renderAll();
+    focusBullet(bulletId);
+    announce(`Now a sub-cause of "${prev.text || "empty bullet"}".`);
+  }
 
-    const a = model.appearance || {};
-    const stroke = a.boneColor || "#c00000";
-    const thickness = Number(a.boneThickness ?? 10);
-    const arrowW = Number(a.arrowWidth ?? 180);
-    const slant = 120 + Number(a.boneSlant ?? 120);
+  function outdentBullet(block, bulletId) {
+    const loc = findBullet(block.bullets, bulletId);
+    if (!loc || !loc.parent) return; // already top level
+    loc.list.splice(loc.index, 1);
+    loc.parentLoc.list.splice(loc.parentLoc.index + 1, 0, loc.bullet);
+    modelChanged();
+    renderAll();
+    focusBullet(bulletId);
+    announce("Moved out one level.");
+  }
 
-    // More left padding so the left bones don’t clash with the edge
-    const marginL = 160;
+  // Put the caret at the end of a bullet's text after a re-render
+  function focusBullet(bulletId) {
+    const el = blocksLayer.querySelector(`li[data-bullet-id="${cssEscape(bulletId)}"] > .bulletText`);
+    if (!el) return;
+    el.focus();
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    range.collapse(false);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
 
-    const arrowX = W - arrowW;
-    const spineStart = marginL;
-    const spineEnd = arrowX;
+  // ---------------- Votes, root-cause flags, verification ----------------
+  const causeMenu = $("causeMenu");
+  let causeMenuTarget = null; // { catId, blockId, itemId }
+
+  // Badges only show what is set, so an untouched diagram looks exactly as before
+  function renderCauseBadges(item) {
+    const wrap = document.createElement("span");
+    wrap.className = "causeBadges";
+    wrap.setAttribute("contenteditable", "false");
+
+    if (item.votes > 0) {
+      const v = document.createElement("span");
+      v.className = "badge badgeVotes";
+      v.textContent = item.votes === 1 ? "1 vote" : `${item.votes} votes`;
+      v.title = "Click to add a vote, Alt+click to remove one";
+      v.addEventListener("click", (e) => {
+        e.stopPropagation();
+        item.votes = Math.max(0, item.votes + (e.altKey ? -1 : 1));
+        modelChanged("votes:" + item.id);
+        renderAll();
+      });
+      wrap.appendChild(v);
+    }
+    if (item.rootCause) {
+      const r = document.createElement("span");
+      r.className = "badge badgeRoot";
+      r.textContent = "Root cause";
+      r.title = "Suspected root cause";
+      wrap.appendChild(r);
+    }
+    if (item.actions.length) {
+      const open = item.actions.filter(a => a.status !== "done").length;
+      const a = document.createElement("span");
+      a.className = "badge badgeActions" + (open ? "" : " is-done");
+      a.textContent = open ? (open === 1 ? "1 action" : `${open} actions`) : "Actions done";
+      a.title = "Open the Actions view";
+      a.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openActions(item.actions[0]?.id);
+      });
+      wrap.appendChild(a);
+    }
+    if (item.attachments.length) {
+      const n = item.attachments.length;
+      const e = document.createElement("span");
+      e.className = "badge badgeEvidence";
+      e.textContent = n === 1 ? "1 attachment" : `${n} attachments`;
+      e.title = "Show the evidence for this cause";
+      e.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        const blockEl = e.closest(".block");
+        openEvidence({ catId: blockEl.dataset.catId, blockId: blockEl.dataset.blockId, itemId: item.id });
+      });
+      wrap.appendChild(e);
+    }
+    if (item.verification !== "unverified") {
+      const s = document.createElement("span");
+      s.className = "badge " + (item.verification === "verified" ? "badgeVerified" : "badgeRuledOut");
+      s.textContent = item.verification === "verified" ? "Verified" : "Ruled out";
+      wrap.appendChild(s);
+    }
+    return wrap;
+  }
 
-    // spine
-    addLine(gStatic, spineStart, midY, spineEnd, midY, stroke, thickness);
+  function renderCauseMenuButton(cat, block, item) {
+    const btn = document.createElement("span");
+    btn.className = "metaBtn" + (item === block ? "" : " bulletMeta");
+    btn.textContent = "⋯";
+    btn.title = "Votes, root cause, verification, actions and evidence";
+    btn.setAttribute("contenteditable", "false");
+    btn.setAttribute("role", "button");
+    btn.setAttribute("aria-label", btn.title);
+    btn.setAttribute("aria-haspopup", "dialog");
+    btn.tabIndex = -1;
+    btn.addEventListener("mousedown", (e) => e.stopPropagation());
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      select(cat.id, block.id);
+      openCauseMenu({ catId: cat.id, blockId: block.id, itemId: item.id }, btn);
+    });
+    return btn;
+  }
 
-    // arrow
-    const arrowTop = midY - 95;
-    const arrowBot = midY + 95;
-    const arrowTipX = W - 18;
-    const arrowBodyX = arrowX;
-    addFilledPath(gStatic, [
-      `M ${arrowBodyX} ${arrowTop}`,
-      `L ${arrowTipX} ${midY}`,
-      `L ${arrowBodyX} ${arrowBot}`,
-      `L ${arrowBodyX} ${arrowTop}`,
-      "Z"
-    ].join(" "), stroke);
+  function findCauseItem(target) {
+    const cat = model.categories.find(c => c.id === target?.catId);
+    const block = cat?.blocks.find(b => b.id === target.blockId);
+    if (!block) return null;
+    if (target.itemId === block.id) return block;
+    return findBullet(block.bullets, target.itemId)?.bullet || null;
+  }
 
-        // category bones: anchored at evenly spaced points along the spine band
-    const topCats = catsBySide("top");
-    const botCats = catsBySide("bottom");
+  function openCauseMenu(target, anchorEl) {
+    causeMenuTarget = target;
+    const r = rectInCanvas(anchorEl);
+    causeMenu.style.left = `${clamp(r.right + 6, 8, canvas.width - 250 / zoom)}px`;
+    causeMenu.style.top = `${clamp(r.top, 8, canvas.height - 200 / zoom)}px`;
+    renderCauseMenu();
+    causeMenu.classList.add("open");
+  }
 
-    const topXs = spineAnchors(topCats.length, spineStart + 140, spineEnd - 30);
-    const botXs = spineAnchors(botCats.length, spineStart + 140, spineEnd - 30);
+  function closeCauseMenu() {
+    causeMenu.classList.remove("open");
+    causeMenuTarget = null;
+  }
 
-    const yTop = 70;
-    const yBot = H - 70;
+  function renderCauseMenu() {
+    const item = findCauseItem(causeMenuTarget);
+    if (!item) { closeCauseMenu(); return; }
+    causeMenu.innerHTML = "";
 
-    topCats.forEach((cat, i) => {
-      const xSpine = topXs[i];
-      const xEdge = clamp(xSpine - slant, 90, W - 40);
-      addLine(gStatic, xSpine, midY, xEdge, yTop, stroke, thickness);
-      catBones.set(cat.id, { xSpine, ySpine: midY, xEdge, yEdge: yTop, side:"top" });
-    });
+    const update = (fn, key) => {
+      fn();
+      modelChanged(key);
+      renderAll();
+      renderCauseMenu();
+    };
 
-    botCats.forEach((cat, i) => {
-      const xSpine = botXs[i];
-      const xEdge = clamp(xSpine - slant, 90, W - 40);
-      addLine(gStatic, xSpine, midY, xEdge, yBot, stroke, thickness);
-      catBones.set(cat.id, { xSpine, ySpine: midY, xEdge, yEdge: yBot, side:"bottom" });
+    const votes = document.createElement("div");
+    votes.className = "causeMenuRow";
+    const minus = document.createElement("button");
+    minus.type = "button";
+    minus.textContent = "−";
+    minus.title = "Remove a vote";
+    minus.disabled = item.votes === 0;
+    minus.addEventListener("click", () => update(() => { item.votes = Math.max(0, item.votes - 1); }, "votes:" + item.id));
+    const count = document.createElement("span");
+    count.textContent = item.votes === 1 ? "1 vote" : `${item.votes} votes`;
+    const plus = document.createElement("button");
+    plus.type = "button";
+    plus.textContent = "+";
+    plus.title = "Add a vote";
+    plus.addEventListener("click", () => update(() => { item.votes += 1; }, "votes:" + item.id));
+    votes.appendChild(minus);
+    votes.appendChild(count);
+    votes.appendChild(plus);
+    causeMenu.appendChild(votes);
+
+    const root = document.createElement("label");
+    root.className = "causeMenuRow";
+    const rootBox = document.createElement("input");
+    rootBox.type = "checkbox";
+    rootBox.checked = item.rootCause;
+    rootBox.addEventListener("change", () => update(() => { item.rootCause = rootBox.checked; }));
+    root.appendChild(rootBox);
+    root.appendChild(document.createTextNode(" Suspected root cause"));
+    causeMenu.appendChild(root);
+
+    const group = document.createElement("fieldset");
+    group.className = "causeMenuGroup";
+    const legend = document.createElement("legend");
+    legend.textContent = "Verification";
+    group.appendChild(legend);
+    [["unverified", "Not yet verified"], ["verified", "Verified"], ["ruled-out", "Ruled out"]].forEach(([value, text]) => {
+      const l = document.createElement("label");
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = "causeVerification";
+      radio.value = value;
+      radio.checked = item.verification === value;
+      radio.addEventListener("change", () => update(() => { item.verification = value; }));
+      l.appendChild(radio);
+      l.appendChild(document.createTextNode(" " + text));
+      group.appendChild(l);
+    });
+    causeMenu.appendChild(group);
+
+    const cat = model.categories.find(c => c.id === causeMenuTarget.catId);
+    causeMenu.appendChild(renderMoveControl(cat, cat.blocks.find(b => b.id === causeMenuTarget.blockId), item));
+
+    const actions = document.createElement("div");
+    actions.className = "causeMenuGroup";
+    const heading = document.createElement("strong");
+    heading.textContent = "Actions";
+    actions.appendChild(heading);
+    item.actions.forEach(a => {
+      const row = document.createElement("button");
+      row.type = "button";
+      row.className = "causeMenuAction";
+      row.textContent = `${a.text || "(no description)"} · ${ACTION_STATUS_LABELS[a.status]}`;
+      row.addEventListener("click", () => { closeCauseMenu(); openActions(a.id); });
+      actions.appendChild(row);
+    });
+    const add = document.createElement("button");
+    add.type = "button";
+    add.className = "causeMenuAction causeMenuAdd";
+    add.textContent = "+ Add action";
+    add.addEventListener("click", () => {
+      const action = mkAction();
+      item.actions.push(action);
+      modelChanged();
+      renderAll();
+      closeCauseMenu();
+      openActions(action.id);
+    });
+    actions.appendChild(add);
+    causeMenu.appendChild(actions);
+
+    const evidence = document.createElement("div");
+    evidence.className = "causeMenuGroup";
+    const evidenceHeading = document.createElement("strong");
+    evidenceHeading.textContent = "Evidence";
+    evidence.appendChild(evidenceHeading);
+    const n = item.attachments.length;
+    const show = document.createElement("button");
+    show.type = "button";
+    show.className = "causeMenuAction" + (n ? "" : " causeMenuAdd");
+    show.textContent = n ? (n === 1 ? "Show 1 attachment" : `Show ${n} attachments`) : "+ Add evidence";
+    show.addEventListener("click", () => {
+      const target = causeMenuTarget;
+      closeCauseMenu();
+      openEvidence(target);
     });
+    evidence.appendChild(show);
+    causeMenu.appendChild(evidence);
+
+    if (item.whys) {
+      const whys = document.createElement("div");
+      whys.className = "causeMenuGroup";
+      const whysHeading = document.createElement("strong");
+      whysHeading.textContent = "5 Whys";
+      whys.appendChild(whysHeading);
+      const drill = document.createElement("button");
+      drill.type = "button";
+      drill.className = "causeMenuAction" + (item.whys.length ? "" : " causeMenuAdd");
+      drill.textContent = item.whys.length ? "Edit the 5 Whys chain…" : "+ Ask why…";
+      drill.addEventListener("click", () => {
+        const target = causeMenuTarget;
+        closeCauseMenu();
+        openWhys(target);
+      });
+      whys.appendChild(drill);
+      causeMenu.appendChild(whys);
+    }
   }
 
-  function spineAnchors(n, startX, endX){
-    if (n <= 1) return [ (startX+endX)/2 ];
-    const step = (endX - startX) / (n - 1);
-    return Array.from({length:n}, (_,i)=> startX + i*step);
+  causeMenu.addEventListener("mousedown", (e) => e.stopPropagation());
+  document.addEventListener("mousedown", (e) => {
+    if (causeMenu.classList.contains("open") && !causeMenu.contains(e.target)) closeCauseMenu();
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape" || !causeMenu.classList.contains("open")) return;
+    const hadFocus = causeMenu.contains(document.activeElement);
+    closeCauseMenu();
+    // hand keyboard focus back to the heading the menu belongs to
+    if (hadFocus && selected.blockId) blockElement(selected.blockId)?.focus();
+  });
+
+  // ---------------- Ranked cause summary ----------------
+  const rankingOverlay = $("rankingOverlay");
+
+  function causeScore(item) {
+    // flagged root causes first, then verified, then by votes; ruled-out sink to the bottom
+    if (item.verification === "ruled-out") return -1;
+    return (item.rootCause ? 1e6 : 0) + (item.verification === "verified" ? 1e5 : 0) + item.votes;
   }
 
-  // ribs from each block's bone point, extending left
-  function drawRibs() {
-  ensureGroups();
-  clearGroup(gRibs);
+  // A root cause found by 5 Whys ranks as a cause of its own, under the bullet it started from
+  function whyRootCause(c) {
+    const last = c.item.whys?.length && c.item.whys[c.item.whys.length - 1];
+    if (!last?.rootCause || !last.text) return null;
+    return { ...c, kind: "why", item: { text: last.text, votes: 0, rootCause: true, verification: "unverified" }, parents: c.parents.concat(c.item) };
+  }
 
-  const a = model.appearance || {};
-  const stroke = a.boneColor || "#c00000";
-  const ribThickness = Math.max(2, Number(a.boneThickness ?? 10) - 4);
-  const ribLen = Number(a.ribLength ?? 150);
+  // Category › heading › parent bullets, for lists that show causes out of the diagram
+  function causePath(c) {
+    return [c.cat.label]
+      .concat(c.kind !== "heading" ? [c.block.title || "(untitled heading)"] : [])
+      .concat(c.parents.map(p => p.text || "…"))
+      .join(" › ");
+  }
 
-  const wrapRect = wrapper.getBoundingClientRect();
-  const W = 1200, H = 720;
+  function renderRanking() {
+    const showAll = $("rankingShowAll").checked;
+    const rows = [];
+    walkCauses(c => {
+      const it = c.item;
+      const text = causeText(c);
+      if (!text) return;
+      const why = whyRootCause(c);
+      if (why) rows.push(why);
+      if (!showAll && !it.votes && !it.rootCause && it.verification === "unverified") return;
+      rows.push(c);
+    });
+    rows.sort((a, b) => causeScore(b.item) - causeScore(a.item));
+
+    const body = $("rankingBody");
+    body.innerHTML = "";
+    $("rankingEmpty").style.display = rows.length ? "none" : "block";
+
+    rows.forEach((c, i) => {
+      const tr = document.createElement("tr");
+      tr.className = "rankingRow";
+      const where = causePath(c);
+      const status = [
+        c.item.rootCause ? (c.kind === "why" ? "Root cause (5 Whys)" : "Root cause") : "",
+        c.item.verification === "verified" ? "Verified" : c.item.verification === "ruled-out" ? "Ruled out" : ""
+      ].filter(Boolean).join(", ");
+
+      [String(i + 1), causeText(c), where, String(c.item.votes), status].forEach((v, k) => {
+        const td = document.createElement("td");
+        td.textContent = v;
+        if (k === 2) td.className = "rankingWhere";
+        tr.appendChild(td);
+      });
+      tr.title = "Show on the diagram";
+      tr.addEventListener("click", () => {
+        closeModal(rankingOverlay);
+        select(c.cat.id, c.block.id);
+      });
+      body.appendChild(tr);
+    });
+  }
 
-  // Build a quick lookup for DOM blocks, so we can place ribs above/below them
-  const blockEls = new Map(); // blockId -> element
-  blocksLayer.querySelectorAll(".block").forEach(el => {
-    blockEls.set(el.dataset.blockId, el);
+  $("btnRanking").addEventListener("click", () => {
+    renderRanking();
+    openModal(rankingOverlay);
   });
+  $("rankingShowAll").addEventListener("change", renderRanking);
+  wireModal(rankingOverlay, $("rankingClose"));
 
-  model.categories.forEach(cat => {
-    const bone = catBones.get(cat.id);
-    if (!bone) return;
+  // ---------------- Actions view ----------------
+  const actionsOverlay = $("actionsOverlay");
+  const actionsBody = $("actionsBody");
 
-    cat.blocks.forEach(block => {
-      const el = blockEls.get(block.id);
-      if (!el) return;
+  function collectActions() {
+    const rows = [];
+    walkCauses(c => c.item.actions.forEach(action => rows.push({ action, cause: c })));
+    return rows;
+  }
 
-      // Compute a rib Y based on the block's on-screen position:
-      //  - top categories: rib just ABOVE the block
-      //  - bottom categories: rib just BELOW the block
-      const r = el.getBoundingClientRect();
+  function openActions(focusActionId) {
+    renderActions();
+    openModal(actionsOverlay);
+    if (!focusActionId) return;
+    const input = actionsBody.querySelector(`tr[data-action-id="${cssEscape(focusActionId)}"] .actionText`);
+    if (input) input.focus();
+  }
 
-      const ribOffset = 8;
-      let ribYPx = (cat.side === "top")
-       ? (r.top - wrapRect.top - ribOffset)      // above the block
-       : (r.bottom - wrapRect.top + ribOffset);  // below the block
+  function renderActions() {
+    const filter = $("actionsFilter").value;
+    const today = new Date().toISOString().slice(0, 10);
+    const rows = collectActions().filter(r => filter === "all" || r.action.status === filter);
+
+    actionsBody.innerHTML = "";
+    $("actionsEmpty").style.display = rows.length ? "none" : "block";
+
+    rows.forEach(({ action, cause }) => {
+      const tr = document.createElement("tr");
+      tr.dataset.actionId = action.id;
+      tr.classList.toggle("is-overdue", !!action.due && action.due < today && action.status !== "done");
+
+      const causeTd = document.createElement("td");
+      const causeLink = document.createElement("button");
+      causeLink.type = "button";
+      causeLink.className = "linkButton";
+      causeLink.textContent = causeText(cause) || "(untitled)";
+      causeLink.title = "Show this cause on the diagram";
+      causeLink.addEventListener("click", () => {
+        closeModal(actionsOverlay);
+        select(cause.cat.id, cause.block.id);
+        flashCause(cause.item.id);
+      });
+      const where = document.createElement("div");
+      where.className = "rankingWhere";
+      where.textContent = causePath(cause);
+      causeTd.appendChild(causeLink);
+      causeTd.appendChild(where);
+      tr.appendChild(causeTd);
+
+      const field = (key, el, cls) => {
+        el.className = cls || "";
+        el.value = action[key];
+        el.addEventListener("input", () => {
+          action[key] = el.value;
+          modelChanged("action:" + action.id + ":" + key);
+        });
+        const td = document.createElement("td");
+        td.appendChild(el);
+        tr.appendChild(td);
+        return el;
+      };
+
+      const text = document.createElement("input");
+      text.type = "text";
+      text.placeholder = "Describe the action…";
+      field("text", text, "actionText");
+
+      const owner = document.createElement("input");
+      owner.type = "text";
+      owner.placeholder = "Owner";
+      field("owner", owner);
+
+      const due = document.createElement("input");
+      due.type = "date";
+      field("due", due).addEventListener("change", () => renderActions());
+
+      const status = document.createElement("select");
+      ACTION_STATUSES.forEach(v => {
+        const o = document.createElement("option");
+        o.value = v;
+        o.textContent = ACTION_STATUS_LABELS[v];
+        status.appendChild(o);
+      });
+      field("status", status).addEventListener("change", () => { renderAll(); renderActions(); });
+
+      const notes = document.createElement("textarea");
+      notes.rows = 1;
+      notes.placeholder = "Notes";
+      field("notes", notes);
+
+      const delTd = document.createElement("td");
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "linkButton danger";
+      del.textContent = "✕";
+      del.title = "Delete action";
+      del.addEventListener("click", () => {
+        if (!window.confirm("Delete this action?")) return;
+        cause.item.actions = cause.item.actions.filter(a => a.id !== action.id);
+        modelChanged();
+        renderAll();
+        renderActions();
+      });
+      delTd.appendChild(del);
+      tr.appendChild(delTd);
 
-      // keep within wrapper bounds (optional but helps near edges)
-      ribYPx = clamp(ribYPx, 0, wrapRect.height);
+      actionsBody.appendChild(tr);
+    });
+  }
 
-      const ribYSvg = (ribYPx / wrapRect.height) * H;
+  function csvCell(v) {
+    let s = String(v ?? "");
+    // a leading = + - @ (or tab/CR) makes spreadsheets run the cell as a formula
+    if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
 
-      // Find the x on the diagonal bone at this y (via t-at-y interpolation)
-      const denom = (bone.yEdge - bone.ySpine);
-      if (Math.abs(denom) < 1e-6) return;
+  function toCsv(rows) {
+    // BOM so Excel opens UTF-8 correctly
+    return "\ufeff" + rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+  }
 
-      const tAtY = (ribYSvg - bone.ySpine) / denom;
+  function exportActionsCsv() {
+    const rows = [["Action", "Owner", "Due", "Status", "Notes", "Category", "Heading", "Cause"]];
+    collectActions().forEach(({ action, cause }) => {
+      rows.push([
+        action.text, action.owner, action.due, ACTION_STATUS_LABELS[action.status], action.notes,
+        cause.cat.label, cause.block.title, causeText(cause)
+      ]);
+    });
+    downloadBlob(new Blob([toCsv(rows)], { type: "text/csv;charset=utf-8" }), "fishbone-actions.csv");
+  }
 
-      // Keep ribs within the bone segment (prevents weird off-bone lines)
-      const tClamped = clamp(tAtY, 0.02, 0.98);
+  // Briefly highlight a heading or bullet after jumping to it from a list
+  function flashCause(itemId) {
+    const el = blocksLayer.querySelector(`li[data-bullet-id="${cssEscape(itemId)}"]`) ||
+      blocksLayer.querySelector(`.block[data-block-id="${cssEscape(itemId)}"]`);
+    if (!el) return;
+    el.classList.remove("is-flash");
+    void el.offsetWidth; // restart the animation
+    el.classList.add("is-flash");
+    setTimeout(() => el.classList.remove("is-flash"), 1600);
+  }
 
-      const xOnBone = bone.xSpine + tClamped * (bone.xEdge - bone.xSpine);
+  $("btnActions").addEventListener("click", () => openActions());
+  $("actionsFilter").addEventListener("change", renderActions);
+  $("btnActionsCSV").addEventListener("click", exportActionsCsv);
+  wireModal(actionsOverlay, $("actionsClose"));
+
+  // ---------------- Evidence attachments ----------------
+  // Images and files are embedded as data: URLs so they travel with the diagram (autosave, JSON
+  // export, live rooms); large files should be linked instead of embedded. Base64 makes them a
+  // third bigger, and browser storage (about 5 MB) and live-room messages have to carry the lot,
+  // so the whole diagram has a budget as well as each file.
+  const MAX_EMBED_BYTES = 1024 * 1024;
+  const MAX_EMBED_TOTAL = 2 * 1024 * 1024;
+  const evidencePanel = $("evidencePanel");
+  const evidenceList = $("evidenceList");
+  let evidenceTarget = null; // { catId, blockId, itemId }
+
+  function mkAttachment(kind, fields) {
+    return { id: uid(), kind, added: new Date().toISOString().slice(0, 10), ...fields };
+  }
 
-      // Rib goes left from the bone by ribLen
-      const x2 = xOnBone;
-      const x1 = x2 - ribLen;
+  // Only web and mail links become clickable; anything else in an imported file shows as text
+  function safeLink(url) {
+    return /^(https?:|mailto:)/i.test(String(url || "").trim());
+  }
 
-      addLine(gRibs, x1, ribYSvg, x2, ribYSvg, stroke, ribThickness);
+  function formatBytes(n) {
+    if (!(n > 0)) return "";
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Roughly how many file bytes the diagram already embeds (3 bytes per 4 base64 characters)
+  function embeddedBytes() {
+    let total = 0;
+    walkCauses(c => c.item.attachments.forEach(att => { total += Math.floor((att.data || "").length * 3 / 4); }));
+    return total;
+  }
+
+  function openEvidence(target) {
+    evidenceTarget = target;
+    renderEvidence();
+    evidencePanel.classList.add("open");
+    evidencePanel.setAttribute("aria-hidden", "false");
+    $("evidenceClose").focus();
+  }
+
+  function closeEvidence() {
+    const target = evidenceTarget;
+    evidenceTarget = null;
+    evidencePanel.classList.remove("open");
+    evidencePanel.setAttribute("aria-hidden", "true");
+    if (target && evidencePanel.contains(document.activeElement)) blockElement(target.blockId)?.focus();
+  }
+
+  function renderEvidence() {
+    const item = findCauseItem(evidenceTarget);
+    if (!item) { closeEvidence(); return; }
+    const isHeading = item.id === evidenceTarget.blockId;
+    $("evidenceCause").textContent = (isHeading ? item.title : item.text) || (isHeading ? "Untitled heading" : "Empty bullet");
+    $("evidenceEmpty").style.display = item.attachments.length ? "none" : "block";
+    evidenceList.innerHTML = "";
+
+    item.attachments.forEach(att => {
+      const li = document.createElement("li");
+      li.className = "evidenceItem";
+      li.dataset.attachmentId = att.id;
+
+      const head = document.createElement("div");
+      head.className = "evidenceHead";
+      const kind = document.createElement("span");
+      kind.className = "evidenceKind";
+      kind.textContent = { note: "Note", url: "Link", image: "Image", file: "File" }[att.kind];
+      head.appendChild(kind);
+      if (att.added) {
+        const added = document.createElement("span");
+        added.className = "muted";
+        added.textContent = att.added;
+        head.appendChild(added);
+      }
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "linkButton danger";
+      del.textContent = "✕";
+      del.title = "Remove this attachment";
+      del.setAttribute("aria-label", "Remove this attachment");
+      del.addEventListener("click", () => {
+        if (!window.confirm("Remove this attachment?")) return;
+        item.attachments = item.attachments.filter(a => a.id !== att.id);
+        modelChanged();
+        renderAll();
+        renderEvidence();
+        announce("Attachment removed.");
+      });
+      head.appendChild(del);
+      li.appendChild(head);
+
+      if (att.kind === "note") {
+        const text = document.createElement("textarea");
+        text.rows = 3;
+        text.placeholder = "Interview notes, observations…";
+        text.setAttribute("aria-label", "Note");
+        text.value = att.text;
+        text.readOnly = sharedView;
+        text.addEventListener("input", () => {
+          att.text = text.value;
+          modelChanged("attachment:" + att.id);
+        });
+        li.appendChild(text);
+      } else if (att.kind === "url") {
+        const link = document.createElement(safeLink(att.url) ? "a" : "span");
+        link.className = "evidenceName";
+        link.textContent = att.name || att.url;
+        if (link.tagName === "A") {
+          link.href = att.url.trim();
+          link.target = "_blank";
+          link.rel = "noopener noreferrer";
+        }
+        li.appendChild(link);
+        if (att.name) {
+          const url = document.createElement("div");
+          url.className = "evidenceUrl muted";
+          url.textContent = att.url;
+          li.appendChild(url);
+        }
+      } else {
+        if (att.kind === "image" && /^data:image\//i.test(att.data)) {
+          const img = document.createElement("img");
+          img.className = "evidenceImage";
+          img.src = att.data;
+          img.alt = att.name || "Attached image";
+          li.appendChild(img);
+        }
+        const name = document.createElement(/^data:/i.test(att.data) ? "a" : "span");
+        name.className = "evidenceName";
+        name.textContent = att.name || "Untitled file";
+        if (name.tagName === "A") {
+          name.href = att.data;
+          name.download = att.name || "attachment";
+          name.title = "Download";
+        }
+        li.appendChild(name);
+        const size = formatBytes(att.size);
+        if (size) {
+          const s = document.createElement("span");
+          s.className = "muted";
+          s.textContent = " " + size;
+          li.appendChild(s);
+        }
+      }
+      evidenceList.appendChild(li);
+    });
+  }
+
+  function addEvidence(att) {
+    const item = findCauseItem(evidenceTarget);
+    if (!item) return;
+    item.attachments.push(att);
+    modelChanged();
+    renderAll();
+    renderEvidence();
+  }
+
+  function addEvidenceFiles(files) {
+    let used = embeddedBytes(); // files are read asynchronously, so count them as they are accepted
+    Array.from(files).forEach(file => {
+      if (file.size > MAX_EMBED_BYTES) {
+        alert(`"${file.name}" is ${formatBytes(file.size)}. Files over ${formatBytes(MAX_EMBED_BYTES)} are too large to embed in the diagram; add a link to it instead.`);
+        return;
+      }
+      if (used + file.size > MAX_EMBED_TOTAL) {
+        alert(`"${file.name}" would take this diagram's embedded files over ${formatBytes(MAX_EMBED_TOTAL)}, more than it can save in the browser or share live. Add a link to it instead, or remove other embedded files.`);
+        return;
+      }
+      used += file.size;
+      const reader = new FileReader();
+      reader.onload = () => {
+        addEvidence(mkAttachment(/^image\//.test(file.type) ? "image" : "file", {
+          name: file.name, mime: file.type || "application/octet-stream", size: file.size, data: String(reader.result || "")
+        }));
+        announce(`Attached "${file.name}".`);
+      };
+      reader.readAsDataURL(file);
     });
+  }
+
+  $("evidenceFile").addEventListener("change", (e) => {
+    const files = e.target.files;
+    if (files && files.length) addEvidenceFiles(files);
+    e.target.value = "";
   });
-}
+  $("evidenceLinkForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    let url = $("evidenceUrl").value.trim();
+    if (!url) return;
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) url = "https://" + url;
+    if (!safeLink(url)) {
+      alert("Only web (http, https) and mailto links can be attached.");
+      return;
+    }
+    addEvidence(mkAttachment("url", { name: $("evidenceUrlName").value.trim(), url }));
+    $("evidenceUrl").value = "";
+    $("evidenceUrlName").value = "";
+    announce("Link attached.");
+  });
+  $("btnEvidenceNote").addEventListener("click", () => {
+    const att = mkAttachment("note", { text: "" });
+    addEvidence(att);
+    evidenceList.querySelector(`li[data-attachment-id="${cssEscape(att.id)}"] textarea`)?.focus();
+  });
+  $("evidenceClose").addEventListener("click", closeEvidence);
+  evidencePanel.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    e.stopPropagation();
+    closeEvidence();
+  });
+
+  // ---------------- 5 Whys ----------------
+  // A bullet can carry a chain of answers to "Why?", each one level deeper than the last;
+  // the final answer can be flagged as the root cause. Stored as bullet.whys = [{ id, text, rootCause }].
+  const WHYS_MAX = 5;
+  const whysOverlay = $("whysOverlay");
+  const whysSteps = $("whysSteps");
+  const expandedWhys = new Set(); // bullets whose trail is open on the diagram (view state, not saved)
+  let whysTarget = null; // { catId, blockId, itemId }
+
+  function renderWhysTrail(cat, block, bullet) {
+    const wrap = document.createElement("div");
+    wrap.className = "whysTrail";
+    wrap.setAttribute("contenteditable", "false");
+    const open = expandedWhys.has(bullet.id);
+    const root = bullet.whys[bullet.whys.length - 1].rootCause;
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "whysToggle";
+    toggle.textContent = `${open ? "▾" : "▸"} 5 Whys (${bullet.whys.length})${root ? " · root cause found" : ""}`;
+    toggle.setAttribute("aria-expanded", String(open));
+    toggle.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (open) expandedWhys.delete(bullet.id);
+      else expandedWhys.add(bullet.id);
+      renderAll();
+      blocksLayer.querySelector(`li[data-bullet-id="${cssEscape(bullet.id)}"] > .whysTrail > .whysToggle`)?.focus();
+    });
+    wrap.appendChild(toggle);
+    if (!open) return wrap;
+
+    const list = document.createElement("div");
+    list.className = "whysList";
+    list.setAttribute("role", "list");
+    bullet.whys.forEach((step, i) => {
+      const row = document.createElement("div");
+      row.className = "whysStep";
+      row.setAttribute("role", "listitem");
+      const n = document.createElement("span");
+      n.className = "whysNumber";
+      n.textContent = `Why ${i + 1}`;
+      row.appendChild(n);
+      row.appendChild(document.createTextNode(" " + step.text));
+      if (step.rootCause) {
+        const badge = document.createElement("span");
+        badge.className = "badge badgeRoot";
+        badge.textContent = "Root cause";
+        row.appendChild(document.createTextNode(" "));
+        row.appendChild(badge);
+      }
+      list.appendChild(row);
+    });
+    wrap.appendChild(list);
+
+    const edit = document.createElement("button");
+    edit.type = "button";
+    edit.className = "linkButton";
+    edit.textContent = "Edit chain";
+    edit.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openWhys({ catId: cat.id, blockId: block.id, itemId: bullet.id });
+    });
+    wrap.appendChild(edit);
+    return wrap;
+  }
 
+  function openWhys(target) {
+    const bullet = findCauseItem(target);
+    if (!bullet?.whys) return;
+    whysTarget = target;
+    $("whysStart").textContent = bullet.text || "Empty bullet";
+    whysSteps.innerHTML = "";
+    (bullet.whys.length ? bullet.whys : [{ id: "", text: "" }]).forEach(step => addWhyStep(step));
+    $("whysRoot").checked = !!bullet.whys[bullet.whys.length - 1]?.rootCause;
+    openModal(whysOverlay);
+    const inputs = whysSteps.querySelectorAll("input");
+    inputs[inputs.length - 1].focus();
+  }
 
-  function pointOnBone(bone, t){
+  function addWhyStep(step) {
+    const row = document.createElement("li");
+    row.className = "whysRow";
+    row.dataset.stepId = step.id || "";
+    const label = document.createElement("label");
+    label.className = "field";
+    const prompt = document.createElement("span");
+    prompt.className = "whysPrompt";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = step.text;
+    input.placeholder = "Because…";
+    input.addEventListener("input", updateWhyPrompts);
+    input.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" || row !== whysSteps.lastElementChild) return;
+      e.preventDefault();
+      if (!$("btnWhyNext").disabled) askWhyAgain();
+      else $("whysForm").requestSubmit();
+    });
+    label.appendChild(prompt);
+    label.appendChild(input);
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "linkButton danger";
+    del.textContent = "✕";
+    del.title = "Remove this answer";
+    del.setAttribute("aria-label", "Remove this answer");
+    del.addEventListener("click", () => {
+      row.remove();
+      if (!whysSteps.children.length) addWhyStep({ id: "", text: "" });
+      updateWhyPrompts();
+      whysSteps.lastElementChild.querySelector("input").focus();
+    });
+    row.appendChild(label);
+    row.appendChild(del);
+    whysSteps.appendChild(row);
+    updateWhyPrompts();
+  }
+
+  // Each prompt asks why the answer above it (or the bullet itself) happens
+  function updateWhyPrompts() {
+    const rows = [...whysSteps.children];
+    let previous = $("whysStart").textContent;
+    rows.forEach((row, i) => {
+      row.querySelector(".whysPrompt").textContent = `Why ${i + 1}: why “${previous || "…"}”?`;
+      previous = row.querySelector("input").value.trim();
+    });
+    const last = rows[rows.length - 1]?.querySelector("input").value.trim();
+    $("btnWhyNext").disabled = rows.length >= WHYS_MAX || !last;
+  }
+
+  function askWhyAgain() {
+    addWhyStep({ id: "", text: "" });
+    whysSteps.lastElementChild.querySelector("input").focus();
+  }
+
+  $("btnWhyNext").addEventListener("click", askWhyAgain);
+  $("whysForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const bullet = findCauseItem(whysTarget);
+    closeModal(whysOverlay);
+    if (!bullet) return;
+    // reuse step ids so a live room sees edits rather than a new chain
+    const steps = [...whysSteps.children].map(row => {
+      const old = bullet.whys.find(w => w.id === row.dataset.stepId);
+      return { ...old, id: old ? old.id : uid(), text: row.querySelector("input").value.trim(), rootCause: false };
+    }).filter(step => step.text);
+    if (steps.length) steps[steps.length - 1].rootCause = $("whysRoot").checked;
+    bullet.whys = steps;
+    if (steps.length) expandedWhys.add(bullet.id);
+    modelChanged();
+    renderAll();
+    announce(steps.length ? `5 Whys saved: ${steps.length} ${steps.length === 1 ? "answer" : "answers"}${steps[steps.length - 1].rootCause ? ", last one flagged as the root cause" : ""}.` : "5 Whys chain removed.");
+  });
+  wireModal(whysOverlay, $("whysClose"));
+
+  // ---------------- Search and filters ----------------
+  // Matches are highlighted with the CSS Custom Highlight API where the browser has it (so the
+  // editable text is left untouched) and by marking the whole field otherwise.
+  const searchInput = $("searchInput");
+  const searchFilters = $("searchFilters");
+  const CAUSE_STATUS_FILTERS = {
+    "root": (item) => item.rootCause,
+    "verified": (item) => item.verification === "verified",
+    "unverified": (item) => item.verification === "unverified",
+    "ruled-out": (item) => item.verification === "ruled-out",
+    "open-actions": (item) => item.actions.some(a => a.status !== "done"),
+    "actions-done": (item) => item.actions.length > 0 && item.actions.every(a => a.status === "done")
+  };
+  const canHighlight = typeof CSS !== "undefined" && !!CSS.highlights && typeof Highlight === "function";
+  let search = { query: "", minVotes: 0, status: "any", owner: "", hits: [], index: -1 };
+  let searchQueued = false;
+
+  function filtersOn() {
+    return search.minVotes > 0 || search.status !== "any" || !!search.owner;
+  }
+
+  function searchActive() {
+    return !!search.query.trim() || filtersOn();
+  }
+
+  function passesFilters(item) {
+    if (item.votes < search.minVotes) return false;
+    if (search.status !== "any" && !CAUSE_STATUS_FILTERS[search.status](item)) return false;
+    if (search.owner && !item.actions.some(a => a.owner.trim() === search.owner)) return false;
+    return true;
+  }
+
+  // Hits in reading order: the problem, then each category's label and its headings along the bone
+  function collectSearchHits() {
+    const q = search.query.trim().toLowerCase();
+    const has = (text) => !q || String(text || "").toLowerCase().includes(q);
+    const filtered = filtersOn();
+    const hits = [];
+    if (q && !filtered && has(model.effectText)) hits.push({ kind: "effect", catId: null, blockId: null, itemId: null });
+    orderedBlocks().forEach(({ cat, block }, i, all) => {
+      if (q && !filtered && (i === 0 || all[i - 1].cat !== cat) && has(cat.label)) {
+        hits.push({ kind: "label", catId: cat.id, blockId: null, itemId: cat.id });
+      }
+      const check = (item, text, kind) => {
+        if (has(text) && (!filtered || passesFilters(item))) hits.push({ kind, catId: cat.id, blockId: block.id, itemId: item.id });
+      };
+      check(block, block.title, "heading");
+      const walk = (list) => list.forEach(b => { check(b, b.text, "bullet"); walk(b.children); });
+      walk(block.bullets);
+    });
+    return hits;
+  }
+
+  function hitElement(hit) {
+    if (hit.kind === "effect") return effectTextEl;
+    if (hit.kind === "label") return labelsLayer.querySelector(`.catLabel[data-cat-id="${cssEscape(hit.catId)}"]`);
+    if (hit.kind === "heading") return blockElement(hit.blockId)?.querySelector(".titleText");
+    return blocksLayer.querySelector(`li[data-bullet-id="${cssEscape(hit.itemId)}"] > .bulletText`);
+  }
+
+  function clearSearchMarks() {
+    document.querySelectorAll(".is-search-hit, .is-search-current, .is-dimmed").forEach(el => {
+      el.classList.remove("is-search-hit", "is-search-current", "is-dimmed");
+    });
+    if (canHighlight) CSS.highlights.delete("search");
+  }
+
+  function applySearch() {
+    clearSearchMarks();
+    $("btnSearchFilters").classList.toggle("is-active", filtersOn());
+    if (!searchActive()) {
+      search.hits = [];
+      search.index = -1;
+      $("searchCount").textContent = "";
+      $("btnSearchPrev").disabled = $("btnSearchNext").disabled = true;
+      return;
+    }
+    const current = search.hits[search.index];
+    search.hits = collectSearchHits();
+    // stay on the same hit while the diagram changes underneath
+    search.index = current ? search.hits.findIndex(h => h.itemId === current.itemId && h.kind === current.kind) : -1;
+
+    const hitBlocks = new Set(search.hits.map(h => h.blockId).filter(Boolean));
+    blocksLayer.querySelectorAll(".block").forEach(el => el.classList.toggle("is-dimmed", !hitBlocks.has(el.dataset.blockId)));
+
+    const q = search.query.trim().toLowerCase();
+    const ranges = [];
+    search.hits.forEach(hit => {
+      const el = hitElement(hit);
+      if (!el) return;
+      if (!canHighlight || !q) { el.classList.add("is-search-hit"); return; }
+      const node = el.firstChild;
+      if (!node || node.nodeType !== Node.TEXT_NODE) return;
+      const text = node.textContent.toLowerCase();
+      for (let at = text.indexOf(q); at >= 0; at = text.indexOf(q, at + q.length)) {
+        const range = document.createRange();
+        range.setStart(node, at);
+        range.setEnd(node, at + q.length);
+        ranges.push(range);
+      }
+    });
+    if (canHighlight && ranges.length) CSS.highlights.set("search", new Highlight(...ranges));
+
+    const n = search.hits.length;
+    if (search.index >= 0) hitElement(search.hits[search.index])?.classList.add("is-search-current");
+    $("searchCount").textContent = !n ? "No matches" : search.index >= 0 ? `${search.index + 1} of ${n}` : (n === 1 ? "1 match" : `${n} matches`);
+    $("btnSearchPrev").disabled = $("btnSearchNext").disabled = !n;
+  }
+
+  function scheduleSearch() {
+    if (searchQueued || !searchActive()) return;
+    searchQueued = true;
+    requestAnimationFrame(() => {
+      searchQueued = false;
+      applySearch();
+    });
+  }
+
+  function goToHit(step) {
+    const n = search.hits.length;
+    if (!n) return;
+    search.index = search.index < 0 ? (step > 0 ? 0 : n - 1) : (search.index + step + n) % n;
+    const hit = search.hits[search.index];
+    select(hit.catId, hit.blockId);
+    applySearch();
+    const el = hitElement(hit);
+    if (el) {
+      const r = rectInCanvas(el);
+      centreOn({ x: r.left + r.width / 2, y: r.top + r.height / 2 });
+    }
+    if (hit.itemId && hit.kind !== "label") flashCause(hit.itemId);
+    announce(`Match ${search.index + 1} of ${n}: ${el?.textContent || "empty"}.`);
+  }
+
+  // Owners come from the actions in the diagram, so the list only offers names that will match
+  function refreshOwnerFilter() {
+    const picker = $("filterOwner");
+    const owners = new Set();
+    walkCauses(c => c.item.actions.forEach(a => { if (a.owner.trim()) owners.add(a.owner.trim()); }));
+    if (search.owner) owners.add(search.owner);
+    picker.innerHTML = "";
+    [["", "Anyone"]].concat([...owners].sort((a, b) => a.localeCompare(b)).map(o => [o, o])).forEach(([value, text]) => {
+      const o = document.createElement("option");
+      o.value = value;
+      o.textContent = text;
+      picker.appendChild(o);
+    });
+    picker.value = search.owner;
+  }
+
+  function clearSearch() {
+    search = { query: "", minVotes: 0, status: "any", owner: "", hits: [], index: -1 };
+    searchInput.value = "";
+    $("filterVotes").value = "0";
+    $("filterStatus").value = "any";
+    refreshOwnerFilter();
+    applySearch();
+  }
+
+  searchInput.addEventListener("input", () => {
+    search.query = searchInput.value;
+    search.index = -1;
+    applySearch();
+  });
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      goToHit(e.shiftKey ? -1 : 1);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      clearSearch();
+    }
+  });
+  $("btnSearchNext").addEventListener("click", () => goToHit(1));
+  $("btnSearchPrev").addEventListener("click", () => goToHit(-1));
+  $("btnSearchFilters").addEventListener("click", () => {
+    const open = searchFilters.hidden;
+    searchFilters.hidden = !open;
+    $("btnSearchFilters").setAttribute("aria-expanded", String(open));
+    if (open) refreshOwnerFilter();
+  });
+  $("filterVotes").addEventListener("input", () => {
+    search.minVotes = Math.max(0, Math.floor(Number($("filterVotes").value) || 0));
+    search.index = -1;
+    applySearch();
+  });
+  $("filterStatus").addEventListener("change", () => {
+    search.status = $("filterStatus").value;
+    search.index = -1;
+    applySearch();
+  });
+  $("filterOwner").addEventListener("change", () => {
+    search.owner = $("filterOwner").value;
+    search.index = -1;
+    applySearch();
+  });
+  $("btnSearchClear").addEventListener("click", () => { clearSearch(); searchInput.focus(); });
+  // Ctrl/⌘+F jumps to the diagram search instead of the browser's find bar
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== "f") return;
+    if (document.querySelector(".modalOverlay.open")) return;
+    e.preventDefault();
+    searchInput.focus();
+    searchInput.select();
+  });
+
+  // ---------------- Presentation mode ----------------
+  // Full-screen, read-only walkthrough: an overview, then each category with its headings revealed
+  // one at a time from the tip of the bone towards the spine, then the flagged root causes.
+  // Editing affordances are hidden by the same export-clean class the exports use.
+  const PRESENT_MAX_ZOOM = 1.6;
+  const diagramArea = $("diagramArea");
+  const presentSummary = $("presentSummary");
+  let presentation = null; // { steps, index, zoom, scrollLeft, scrollTop, fullscreen } while presenting
+
+  // Read-only views (presenting, shared links) switch every editable field on the canvas off
+  function lockEditing() {
+    wrapper.querySelectorAll("[contenteditable='true']").forEach(el => el.setAttribute("contenteditable", "false"));
+  }
+
+  function presentationSteps() {
+    const steps = [{ kind: "overview" }];
+    model.categories.forEach(cat => {
+      const order = cat.blocks.slice().sort((a, b) => b.t - a.t).map(b => b.id);
+      for (let shown = 0; shown <= order.length; shown++) steps.push({ kind: "category", catId: cat.id, order, shown });
+    });
+    steps.push({ kind: "summary" });
+    return steps;
+  }
+
+  function startPresentation() {
+    if (presentation) return;
+    closeCauseMenu();
+    closeEvidence();
+    select(null, null);
+    document.activeElement?.blur?.();
+    presentation = { steps: presentationSteps(), index: 0, zoom, scrollLeft: viewport.scrollLeft, scrollTop: viewport.scrollTop, fullscreen: false };
+    document.body.classList.add("export-clean", "presenting");
+    const request = diagramArea.requestFullscreen?.();
+    if (request) request.catch(() => {}); // the fixed full-window layout is the fallback
+    showPresentationStep(true);
+    $("btnPresentNext").focus();
+  }
+
+  function stopPresentation() {
+    const was = presentation;
+    if (!was) return;
+    presentation = null;
+    document.body.classList.remove("presenting");
+    presentSummary.hidden = true;
+    if (!sharedView) {
+      document.body.classList.remove("export-clean");
+      effectTextEl.setAttribute("contenteditable", "true"); // the one field renderAll doesn't recreate
+    }
+    if (document.fullscreenElement) {
+      const exit = document.exitFullscreen?.();
+      if (exit) exit.catch(() => {});
+    }
+    renderAll(); // fresh, editable elements
+    setZoom(was.zoom);
+    viewport.scrollLeft = was.scrollLeft;
+    viewport.scrollTop = was.scrollTop;
+    $("btnPresent").focus();
+    announce("Presentation ended.");
+  }
+
+  function goToPresentationStep(index) {
+    if (!presentation) return;
+    presentation.index = clamp(index, 0, presentation.steps.length - 1);
+    showPresentationStep(true);
+  }
+
+  // Called after every render while presenting, so re-rendered fields stay read-only
+  function showPresentationStep(frame) {
+    const { steps, index } = presentation;
+    const step = steps[index];
+    const cat = step.kind === "category" && model.categories.find(c => c.id === step.catId);
+    lockEditing();
+    blocksLayer.querySelectorAll(".block").forEach(el => {
+      const mine = !!cat && el.dataset.catId === cat.id;
+      el.classList.toggle("is-muted", !!cat && !mine);
+      el.classList.toggle("is-unrevealed", mine && step.order.indexOf(el.dataset.blockId) >= step.shown);
+    });
+    labelsLayer.querySelectorAll(".catLabel").forEach(el => el.classList.toggle("is-muted", !!cat && el.dataset.catId !== cat.id));
+    presentSummary.hidden = step.kind !== "summary";
+    if (step.kind === "summary") renderPresentationSummary();
+
+    let label = "Overview";
+    if (cat) label = `${cat.label}: ${step.shown} of ${step.order.length} ${step.order.length === 1 ? "heading" : "headings"}`;
+    else if (step.kind === "summary") label = "Root causes";
+    $("presentStep").textContent = `${label} (${index + 1}/${steps.length})`;
+    $("btnPresentPrev").disabled = index === 0;
+    $("btnPresentNext").disabled = index === steps.length - 1;
+    if (!frame) return;
+
+    requestAnimationFrame(() => framePresentationStep(step));
+    if (step.kind === "overview") announce(`Overview. Problem: ${model.effectText || "not set"}.`);
+    else if (step.kind === "summary") announce(`Summary: ${presentSummary.querySelectorAll("li").length} root causes flagged.`);
+    else if (step.shown === 0) announce(`Category ${cat.label}.`);
+    else {
+      const block = cat.blocks.find(b => b.id === step.order[step.shown - 1]);
+      const bullets = [];
+      const walk = (list) => list.forEach(b => { if (b.text) bullets.push(b.text); walk(b.children); });
+      walk(block.bullets);
+      announce(`${block.title || "Untitled heading"}${causeStatusText(block)}. ${bullets.join(". ")}`);
+    }
+  }
+
+  // Zoom to the current bone with all of its headings (revealed or not, so the frame doesn't jump)
+  function framePresentationStep(step) {
+    const bone = step.kind === "category" && catBones.get(step.catId);
+    if (!bone) {
+      fitToScreen();
+      return;
+    }
+    const box = {
+      left: Math.min(bone.xSpine, bone.xEdge), right: Math.max(bone.xSpine, bone.xEdge),
+      top: Math.min(bone.ySpine, bone.yEdge), bottom: Math.max(bone.ySpine, bone.yEdge)
+    };
+    const els = [...blocksLayer.querySelectorAll(`.block[data-cat-id="${cssEscape(step.catId)}"]`)]
+      .concat([...labelsLayer.querySelectorAll(`.catLabel[data-cat-id="${cssEscape(step.catId)}"]`)]);
+    els.forEach(el => {
+      const r = rectInCanvas(el);
+      box.left = Math.min(box.left, r.left);
+      box.top = Math.min(box.top, r.top);
+      box.right = Math.max(box.right, r.right);
+      box.bottom = Math.max(box.bottom, r.bottom);
+    });
+    const pad = 40;
+    const z = Math.min(viewport.clientWidth / (box.right - box.left + pad * 2), viewport.clientHeight / (box.bottom - box.top + pad * 2));
+    setZoom(clamp(isFinite(z) && z > 0 ? z : 1, ZOOM_MIN, PRESENT_MAX_ZOOM));
+    centreOn({ x: (box.left + box.right) / 2, y: (box.top + box.bottom) / 2 });
+  }
+
+  function renderPresentationSummary() {
+    const rows = [];
+    walkCauses(c => {
+      const why = whyRootCause(c);
+      if (why) rows.push(why);
+      if (c.item.rootCause && causeText(c)) rows.push(c);
+    });
+    rows.sort((a, b) => causeScore(b.item) - causeScore(a.item));
+    $("presentSummaryTitle").textContent = `Root causes of “${model.effectText || "the problem"}”`;
+    const list = $("presentSummaryList");
+    list.innerHTML = "";
+    $("presentSummaryEmpty").hidden = rows.length > 0;
+    rows.forEach(c => {
+      const li = document.createElement("li");
+      const text = document.createElement("strong");
+      text.textContent = causeText(c);
+      const where = document.createElement("div");
+      where.className = "rankingWhere";
+      where.textContent = causePath(c);
+      li.appendChild(text);
+      li.appendChild(where);
+      const notes = [
+        c.kind === "why" ? "found with 5 Whys" : "",
+        c.item.votes ? (c.item.votes === 1 ? "1 vote" : `${c.item.votes} votes`) : "",
+        c.item.verification === "verified" ? "verified" : c.item.verification === "ruled-out" ? "ruled out" : "",
+        c.item.actions?.length ? `${c.item.actions.filter(a => a.status !== "done").length} of ${c.item.actions.length} actions open` : ""
+      ].filter(Boolean);
+      if (notes.length) {
+        const meta = document.createElement("div");
+        meta.className = "muted";
+        meta.textContent = notes.join(" · ");
+        li.appendChild(meta);
+      }
+      list.appendChild(li);
+    });
+  }
+
+  $("btnPresent").addEventListener("click", startPresentation);
+  $("btnPresentPrev").addEventListener("click", () => goToPresentationStep(presentation.index - 1));
+  $("btnPresentNext").addEventListener("click", () => goToPresentationStep(presentation.index + 1));
+  $("btnPresentExit").addEventListener("click", stopPresentation);
+
+  // While presenting, keys step through the slides and nothing reaches the editing shortcuts
+  document.addEventListener("keydown", (e) => {
+    if (!presentation || e.key === "Tab") return;
+    e.stopPropagation();
+    const onButton = e.target.closest?.("#presentBar button");
+    if (onButton && (e.key === "Enter" || e.key === " ")) return;
+    const last = presentation.steps.length - 1;
+    const to = {
+      "ArrowRight": presentation.index + 1, "ArrowDown": presentation.index + 1, "PageDown": presentation.index + 1,
+      " ": presentation.index + 1, "Enter": presentation.index + 1,
+      "ArrowLeft": presentation.index - 1, "ArrowUp": presentation.index - 1, "PageUp": presentation.index - 1,
+      "Backspace": presentation.index - 1, "Home": 0, "End": last
+    }[e.key];
+    if (e.key === "Escape") {
+      e.preventDefault();
+      stopPresentation();
+    } else if (to !== undefined) {
+      e.preventDefault();
+      goToPresentationStep(to);
+    }
+  }, true);
+  // nothing on the canvas can be selected, dragged or edited; 5 Whys trails can still be opened
+  wrapper.addEventListener("mousedown", (e) => {
+    if (presentation && !e.target.closest?.(".whysToggle")) e.stopPropagation();
+  }, true);
+  document.addEventListener("fullscreenchange", () => {
+    if (!presentation) return;
+    if (document.fullscreenElement) presentation.fullscreen = true;
+    else if (presentation.fullscreen) { stopPresentation(); return; } // left full screen with the browser's Esc
+    requestAnimationFrame(() => framePresentationStep(presentation.steps[presentation.index]));
+  });
+
+  function select(catId, blockId) {
+    selected = { catId, blockId };
+    refreshSelectionUI();
+    updateFloatingTools();
+  }
+
+  function refreshSelectionUI() {
+    const all = blocksLayer.querySelectorAll(".block");
+    all.forEach(b => {
+      const on = b.dataset.blockId === selected.blockId;
+      b.classList.toggle("is-selected", on);
+      b.setAttribute("aria-selected", String(on));
+      // roving tab stop: Tab enters the tree at the selected heading (or the first one)
+      b.tabIndex = on ? 0 : -1;
+    });
+    if (!selected.blockId && all[0]) all[0].tabIndex = 0;
+    sendPresence();
+  }
+
+  // ---------------- Screen-reader semantics ----------------
+  // The canvas is absolutely positioned, so the reading structure comes from ARIA:
+  // #blocksLayer is a tree of headings (treeitems) with nested bullet groups, and
+  // every item's name spells out where it sits (category, problem) and its status.
+  const liveRegion = $("liveRegion");
+
+  function announce(message) {
+    // clear first so repeating the same message is still read out
+    liveRegion.textContent = "";
+    setTimeout(() => { liveRegion.textContent = message; }, 30);
+  }
+
+  function causeStatusText(item) {
+    const parts = [];
+    if (item.votes > 0) parts.push(item.votes === 1 ? "1 vote" : `${item.votes} votes`);
+    if (item.rootCause) parts.push("root cause");
+    if (item.verification === "verified") parts.push("verified");
+    if (item.verification === "ruled-out") parts.push("ruled out");
+    const open = item.actions.filter(a => a.status !== "done").length;
+    if (open) parts.push(open === 1 ? "1 open action" : `${open} open actions`);
+    if (item.attachments.length) parts.push(item.attachments.length === 1 ? "1 attachment" : `${item.attachments.length} attachments`);
+    if (item.whys?.length) parts.push(`5 Whys chain of ${item.whys.length}${item.whys[item.whys.length - 1].rootCause ? " ending in a root cause" : ""}`);
+    return parts.length ? ` (${parts.join(", ")})` : "";
+  }
+
+  function updateTreeLabels() {
+    const effect = model.effectText || "the problem";
+    blocksLayer.setAttribute("aria-label", `Causes of "${effect}"`);
+
+    model.categories.forEach(cat => {
+      const total = cat.blocks.length;
+      cat.blocks.slice().sort((a, b) => a.t - b.t).forEach((block, i) => {
+        const el = blocksLayer.querySelector(`.block[data-block-id="${cssEscape(block.id)}"]`);
+        if (!el) return;
+        const pct = Math.round(Number(block.t ?? 0.3) * 100);
+        el.setAttribute("aria-label",
+          `${block.title || "Untitled heading"}${causeStatusText(block)}, heading ${i + 1} of ${total} in ${cat.label}, cause of "${effect}"`);
+        const handle = el.querySelector(".dragHandle");
+        if (handle) {
+          handle.setAttribute("aria-valuenow", String(pct));
+          handle.setAttribute("aria-valuetext", `${pct}% along ${cat.label}`);
+        }
+        el.querySelectorAll("li[data-bullet-id]").forEach(li => {
+          const bullet = findBullet(block.bullets, li.dataset.bulletId)?.bullet;
+          if (bullet) li.setAttribute("aria-label", `${bullet.text || "Empty bullet"}${causeStatusText(bullet)}`);
+        });
+      });
+    });
+  }
+
+  // ---------------- Canvas size ----------------
+  // Everything is laid out in canvas units. The wrapper is sized to the canvas (one unit is one
+  // CSS pixel) and the bones SVG shares its viewBox, so nothing is stretched on wide or tall screens.
+  let canvas = { ...CANVAS_DEFAULT };
+
+  function canvasSize() {
+    const c = model.canvas || CANVAS_DEFAULT;
+    return c.fitContent ? fittedCanvasSize(c) : { width: c.width, height: c.height };
+  }
+
+  // At least `min`, and big enough that neighbouring bones' headings sit side by side
+  // and each bone's headings can stack along it
+  function fittedCanvasSize(min) {
+    const a = model.appearance || {};
+    const perSide = Math.max(catsBySide("top").length, catsBySide("bottom").length, 1);
+    let widest = 0, tallest = 0;
+    model.categories.forEach(cat => {
+      let stack = 0;
+      cat.blocks.forEach(block => {
+        widest = Math.max(widest, blockWidthOf(block));
+        stack += (blockElement(block.id)?.offsetHeight || 90) + 2 * LAYOUT_PAD;
+      });
+      tallest = Math.max(tallest, stack);
+    });
+    // bones are anchored from x = 300 to (width - arrow - 30) and headings hang to their left;
+    // a bone's usable run (t 0.08..0.92) covers 84% of the half height minus the 70 unit inset
+    const width = 300 + (perSide - 1) * (widest + 60) + 30 + Number(a.arrowWidth ?? 140);
+    const height = 2 * (tallest / 0.84 + 70);
+    const round = (v) => Math.ceil(v / 10) * 10;
     return {
-      x: bone.xSpine + t*(bone.xEdge - bone.xSpine),
-      y: bone.ySpine + t*(bone.yEdge - bone.ySpine)
+      width: clamp(Math.max(min.width, round(width)), CANVAS_LIMITS.minWidth, CANVAS_LIMITS.maxWidth),
+      height: clamp(Math.max(min.height, round(height)), CANVAS_LIMITS.minHeight, CANVAS_LIMITS.maxHeight)
     };
   }
 
-  // ---------------- Position labels & blocks (wrapper-relative) ----------------
-  function positionLabels() {
-    const wrapRect = wrapper.getBoundingClientRect();
-    const W = 1200, H = 720;
+  // Work out the canvas size (and the always-on arrangement); true if the size changed
+  function updateCanvas() {
+    const size = canvasSize();
+    lastAutoLayout = model.layout?.autoArrange ? cachedAutoLayout(size) : null;
+    if (lastAutoLayout) size.height = lastAutoLayout.height;
+    const changed = size.width !== canvas.width || size.height !== canvas.height;
+    canvas = size;
+    wrapper.style.width = `${size.width}px`;
+    wrapper.style.height = `${size.height}px`;
+    svg.setAttribute("viewBox", `0 0 ${size.width} ${size.height}`);
+    sizeStage();
+    return changed;
+  }
 
-    labelsLayer.querySelectorAll(".catLabel").forEach(el => {
-      const catId = el.dataset.catId;
-      const bone = catBones.get(catId);
-      if (!bone) return;
+  // On-screen px per canvas unit (the zoom level, as the browser actually renders it)
+  function canvasScale() {
+    const r = wrapper.getBoundingClientRect();
+    return { r, s: wrapper.offsetWidth ? r.width / wrapper.offsetWidth : 1 };
+  }
 
-      const xPx = (bone.xEdge / W) * wrapRect.width;
-      const yPx = (bone.yEdge / H) * wrapRect.height;
+  // Pointer position -> canvas units
+  function clientToCanvas(clientX, clientY) {
+    const { r, s } = canvasScale();
+    return { x: (clientX - r.left) / s, y: (clientY - r.top) / s };
+  }
 
-      // attach just off the bone end
-      const labelH = el.getBoundingClientRect().height || 40;
-      const yOffset = (bone.side === "top") ? (-labelH + 6) : (-6);
+  // An element's on-screen box -> canvas units
+  function rectInCanvas(el) {
+    const { r: w, s } = canvasScale();
+    const r = el.getBoundingClientRect();
+    const left = (r.left - w.left) / s, top = (r.top - w.top) / s;
+    return { left, top, width: r.width / s, height: r.height / s, right: left + r.width / s, bottom: top + r.height / s };
+  }
 
-      el.style.left = `${xPx}px`;
-      el.style.top = `${yPx + yOffset}px`;
+  function wireCanvasControls() {
+    const setSize = (key, value) => {
+      const lo = key === "width" ? CANVAS_LIMITS.minWidth : CANVAS_LIMITS.minHeight;
+      const hi = key === "width" ? CANVAS_LIMITS.maxWidth : CANVAS_LIMITS.maxHeight;
+      if (!isFinite(value) || value < lo) return; // wait until a complete number has been typed
+      model.canvas[key] = Math.round(clamp(value, lo, hi));
+      modelChanged("canvas:" + key);
+      renderAll();
+    };
+    $("canvasWidth").addEventListener("input", (e) => setSize("width", Number(e.target.value)));
+    $("canvasHeight").addEventListener("input", (e) => setSize("height", Number(e.target.value)));
+    $("canvasFit").addEventListener("change", (e) => {
+      model.canvas.fitContent = e.target.checked;
+      modelChanged();
+      renderAll();
     });
   }
 
-  function positionBlocks() {
-  const wrapRect = wrapper.getBoundingClientRect();
-  const W = 1200, H = 720;
+  // ---------------- Zoom, pan and mini-map ----------------
+  // Zoom is a view setting, not part of the diagram. The wrapper keeps its canvas-unit size and is
+  // scaled with a CSS transform; the stage around it takes the scaled size so the viewport scrolls.
+  // Pointer maths goes through clientToCanvas/rectInCanvas, which read the scale back from the DOM.
+  const ZOOM_MIN = 0.2, ZOOM_MAX = 3, ZOOM_STEP = 1.25;
+  const viewport = $("diagramViewport");
+  const stage = $("diagramStage");
+  const minimap = $("minimap");
+  const minimapSvg = $("minimapSvg");
+  let zoom = 1;
+  let pan = null; // { pointerId, x, y, left, top } while space- or middle-dragging
+  let spaceHeld = false;
+  const touches = new Map(); // pointerId -> { x, y } for fingers on the viewport
+  let pinch = null; // { dist, zoom, anchor } while two fingers are down
+  let minimapQueued = false;
+
+  function sizeStage() {
+    stage.style.width = `${canvas.width * zoom}px`;
+    stage.style.height = `${canvas.height * zoom}px`;
+  }
 
-  const a = model.appearance || {};
-  const ribLen = Number(a.ribLength ?? 150);
+  function applyZoom() {
+    wrapper.style.transform = zoom === 1 ? "" : `scale(${zoom})`;
+    // the selection toolbar and cause menu stay at their normal size
+    wrapper.style.setProperty("--inv-zoom", String(1 / zoom));
+    sizeStage();
+    $("btnZoomReset").textContent = `${Math.round(zoom * 100)}%`;
+    $("btnZoomOut").disabled = zoom <= ZOOM_MIN;
+    $("btnZoomIn").disabled = zoom >= ZOOM_MAX;
+    updateMinimapView();
+  }
 
-  blocksLayer.querySelectorAll(".block").forEach(el => {
-    const catId = el.dataset.catId;
-    const blockId = el.dataset.blockId;
+  // Zoom to `z` keeping `anchor` (canvas units) under the client point (the viewport centre by default)
+  function setZoom(z, clientX, clientY, anchor) {
+    const vr = viewport.getBoundingClientRect();
+    if (clientX === undefined) {
+      clientX = vr.left + viewport.clientWidth / 2;
+      clientY = vr.top + viewport.clientHeight / 2;
+    }
+    anchor = anchor || clientToCanvas(clientX, clientY);
+    zoom = clamp(z, ZOOM_MIN, ZOOM_MAX);
+    applyZoom();
+    // the stage is centred while it is narrower than the viewport, hence its offset
+    viewport.scrollLeft = stage.offsetLeft + anchor.x * zoom - (clientX - vr.left);
+    viewport.scrollTop = stage.offsetTop + anchor.y * zoom - (clientY - vr.top);
+    updateFloatingTools();
+    updateMinimapView();
+  }
 
-    const cat = model.categories.find(c => c.id === catId);
-    const block = cat?.blocks.find(b => b.id === blockId);
-    const bone = catBones.get(catId);
-    if (!cat || !block || !bone) return;
+  function fitToScreen() {
+    const pad = 16;
+    const z = Math.min((viewport.clientWidth - pad) / canvas.width, (viewport.clientHeight - pad) / canvas.height);
+    setZoom(isFinite(z) && z > 0 ? z : 1);
+    viewport.scrollLeft = 0;
+    viewport.scrollTop = 0;
+    announce(`Zoomed to fit, ${Math.round(zoom * 100)}%`);
+  }
 
-    // ✅ blockW must be computed *here* (block is now defined)
-    const blockW = block.w ? Number(block.w) : Number(a.blockWidth ?? 300);
+  // Scroll so a canvas point is in the middle of the viewport
+  function centreOn(p) {
+    viewport.scrollLeft = stage.offsetLeft + p.x * zoom - viewport.clientWidth / 2;
+    viewport.scrollTop = stage.offsetTop + p.y * zoom - viewport.clientHeight / 2;
+  }
 
-    const t = clamp(Number(block.t ?? 0.3), 0.08, 0.92);
-    const p = pointOnBone(bone, t);
+  function isTextTarget(el) {
+    return !!el?.closest?.("input, textarea, select, button, [contenteditable='true']");
+  }
 
-    const xPx = (p.x / W) * wrapRect.width;
-    const yPx = (p.y / H) * wrapRect.height;
+  function wireZoomControls() {
+    $("btnZoomIn").addEventListener("click", () => setZoom(zoom * ZOOM_STEP));
+    $("btnZoomOut").addEventListener("click", () => setZoom(zoom / ZOOM_STEP));
+    $("btnZoomReset").addEventListener("click", () => setZoom(1));
+    $("btnZoomFit").addEventListener("click", fitToScreen);
+    $("btnMinimap").addEventListener("click", (e) => {
+      const on = minimap.hidden;
+      minimap.hidden = !on;
+      e.currentTarget.setAttribute("aria-pressed", String(on));
+      if (on) updateMinimap();
+    });
 
-    // block sits to the left of the rib start
-    const gapToBone = 30; // ✅ 30–50px (tweak as desired)
-    let left = xPx - gapToBone - blockW;
-    left = clamp(left, 8, wrapRect.width - 8 - Math.min(blockW, wrapRect.width - 16));
-
-    // Convert bone point to wrapper px
-   const ribYPx = yPx; // rib line will be drawn at this y (in wrapper px)
-
-   // Place block below rib (top categories) or above rib (bottom categories)
-   const blockH = el.offsetHeight || 90;
-   const verticalGap = 8;
-
-   let top;
-   if (cat.side === "top") {
-     top = ribYPx + verticalGap;                 // block UNDER the rib
-   } else {
-     top = ribYPx - blockH - verticalGap;        // block ABOVE the rib
-   }
+    // Plain wheel scrolls; Ctrl/⌘ + wheel zooms (trackpad pinches arrive as Ctrl + wheel too)
+    viewport.addEventListener("wheel", (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      e.preventDefault();
+      const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1);
+      setZoom(zoom * Math.exp(-delta * 0.002), e.clientX, e.clientY);
+    }, { passive: false });
+
+    viewport.addEventListener("scroll", updateMinimapView);
+
+    // Hold Space (outside text) to pan by dragging
+    document.addEventListener("keydown", (e) => {
+      if (e.key !== " " || isTextTarget(e.target)) return;
+      if (document.querySelector(".modalOverlay.open")) return;
+      e.preventDefault(); // no page scroll
+      spaceHeld = true;
+      viewport.classList.add("panReady");
+    });
+    document.addEventListener("keyup", (e) => {
+      if (e.key === " ") { spaceHeld = false; viewport.classList.remove("panReady"); }
+    });
+    window.addEventListener("blur", () => { spaceHeld = false; viewport.classList.remove("panReady"); });
+
+    // Capture phase, so a pan or pinch that starts on a heading doesn't also select or drag it
+    viewport.addEventListener("pointerdown", (e) => {
+      if (e.pointerType === "touch") {
+        touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (touches.size === 2) {
+          const [a, b] = [...touches.values()];
+          const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+          pinch = { dist: Math.hypot(a.x - b.x, a.y - b.y) || 1, zoom, anchor: clientToCanvas(mid.x, mid.y) };
+          onDragEnd(); // a second finger turns a heading drag into a pinch
+          e.preventDefault();
+          e.stopPropagation();
+        }
+        return;
+      }
+      if (!spaceHeld && e.button !== 1) return;
+      e.preventDefault();
+      e.stopPropagation();
+      pan = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, left: viewport.scrollLeft, top: viewport.scrollTop };
+      viewport.setPointerCapture?.(e.pointerId);
+      viewport.classList.add("panning");
+    }, true);
+
+    viewport.addEventListener("pointermove", (e) => {
+      if (pan && e.pointerId === pan.pointerId) {
+        viewport.scrollLeft = pan.left - (e.clientX - pan.x);
+        viewport.scrollTop = pan.top - (e.clientY - pan.y);
+        return;
+      }
+      if (!touches.has(e.pointerId)) return;
+      touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (!pinch || touches.size !== 2) return;
+      const [a, b] = [...touches.values()];
+      setZoom(pinch.zoom * Math.hypot(a.x - b.x, a.y - b.y) / pinch.dist, (a.x + b.x) / 2, (a.y + b.y) / 2, pinch.anchor);
+    });
 
-   // clamp
-   top = clamp(top, 8, wrapRect.height - blockH - 8);
+    const endPointer = (e) => {
+      touches.delete(e.pointerId);
+      if (touches.size < 2) pinch = null;
+      if (pan && e.pointerId === pan.pointerId) {
+        pan = null;
+        viewport.classList.remove("panning");
+      }
+    };
+    viewport.addEventListener("pointerup", endPointer);
+    viewport.addEventListener("pointercancel", endPointer);
+
+    // Click or drag on the mini-map to move the view there
+    minimapSvg.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      const move = (ev) => {
+        const r = minimapSvg.getBoundingClientRect();
+        if (!r.width || !r.height) return;
+        centreOn({ x: (ev.clientX - r.left) / r.width * canvas.width, y: (ev.clientY - r.top) / r.height * canvas.height });
+      };
+      move(e);
+      minimapSvg.setPointerCapture?.(e.pointerId);
+      minimapSvg.addEventListener("pointermove", move);
+      minimapSvg.addEventListener("pointerup", () => minimapSvg.removeEventListener("pointermove", move), { once: true });
+    });
+  }
 
-    el.style.left = `${left}px`;
-    el.style.top = `${top}px`;
+  // Redraw the mini-map after the frame's layout work (called whenever headings move)
+  function scheduleMinimap() {
+    if (minimapQueued) return;
+    minimapQueued = true;
+    requestAnimationFrame(() => {
+      minimapQueued = false;
+      updateMinimap();
+    });
+  }
 
-   // Store ribY in SVG units so drawRibs can use it precisely
-   const ribYSvg = (ribYPx / wrapRect.height) * H;
-   ribYByBlockId.set(block.id, ribYSvg);
+  function updateMinimap() {
+    if (minimap.hidden) return;
+    const ns = "http://www.w3.org/2000/svg";
+    // keep the canvas proportions inside a 180 x 120 box
+    const k = Math.min(180 / canvas.width, 120 / canvas.height);
+    minimapSvg.setAttribute("width", String(Math.round(canvas.width * k)));
+    minimapSvg.setAttribute("height", String(Math.round(canvas.height * k)));
+    minimapSvg.setAttribute("viewBox", `0 0 ${canvas.width} ${canvas.height}`);
+    clearGroup(minimapSvg);
+
+    const bg = document.createElementNS(ns, "rect");
+    bg.setAttribute("width", String(canvas.width));
+    bg.setAttribute("height", String(canvas.height));
+    bg.setAttribute("class", "minimapCanvas");
+    minimapSvg.appendChild(bg);
+    if (gStatic) minimapSvg.appendChild(gStatic.cloneNode(true));
+    if (gRibs) minimapSvg.appendChild(gRibs.cloneNode(true));
+
+    const box = (el, cls) => {
+      const r = rectInCanvas(el);
+      const rect = document.createElementNS(ns, "rect");
+      rect.setAttribute("x", String(r.left));
+      rect.setAttribute("y", String(r.top));
+      rect.setAttribute("width", String(r.width));
+      rect.setAttribute("height", String(r.height));
+      rect.setAttribute("class", cls);
+      minimapSvg.appendChild(rect);
+    };
+    blocksLayer.querySelectorAll(".block").forEach(el => {
+      box(el, el.dataset.blockId === selected.blockId ? "minimapBlock selected" : "minimapBlock");
+    });
+    box(effectTextEl, "minimapBlock");
 
-  });
-}
+    const view = document.createElementNS(ns, "rect");
+    view.setAttribute("class", "minimapView");
+    minimapSvg.appendChild(view);
+    updateMinimapView();
+  }
 
+  // Outline the part of the canvas that is on screen
+  function updateMinimapView() {
+    const view = minimapSvg.querySelector(".minimapView");
+    if (!view || minimap.hidden) return;
+    const r = rectInCanvas(viewport);
+    const left = clamp(r.left, 0, canvas.width), top = clamp(r.top, 0, canvas.height);
+    view.setAttribute("x", String(left));
+    view.setAttribute("y", String(top));
+    view.setAttribute("width", String(Math.max(0, clamp(r.right, 0, canvas.width) - left)));
+    view.setAttribute("height", String(Math.max(0, clamp(r.bottom, 0, canvas.height) - top)));
+  }
 
-  // ---------------- Dragging along the bone ----------------
-  function startDrag(catId, blockId, pointerId, startEvent) {
-  const cat = model.categories.find(c => c.id === catId);
-  const block = cat?.blocks.find(b => b.id === blockId);
-  const bone = catBones.get(catId);
-  if (!cat || !block || !bone) return;
+  // ---------------- Bones ----------------
+  function ensureGroups() {
+    if (!gStatic) { gStatic = document.createElementNS("http://www.w3.org/2000/svg", "g"); svg.appendChild(gStatic); }
+    if (!gRibs) { gRibs = document.createElementNS("http://www.w3.org/2000/svg", "g"); svg.appendChild(gRibs); }
+  }
+  function clearGroup(g){ while(g.firstChild) g.removeChild(g.firstChild); }
 
-  // pointer -> svg coords
-  const wrapRect = wrapper.getBoundingClientRect();
-  const W = 1200, H = 720;
-  const px = startEvent.clientX - wrapRect.left;
-  const py = startEvent.clientY - wrapRect.top;
-  const x = (px / wrapRect.width) * W;
-  const y = (py / wrapRect.height) * H;
+  // Bone geometry for a canvas size, in canvas units
+  function boneGeometry(size) {
+    const W = size.width, H = size.height;
+    const midY = Math.round(H * 0.5);
 
-  // projected t at grab moment
-  const grabT = projectT({x,y}, {x:bone.xSpine,y:bone.ySpine}, {x:bone.xEdge,y:bone.yEdge});
-  const currentT = clamp(Number(block.t ?? 0.3), 0.08, 0.92);
+    const a = model.appearance || {};
+    const arrowW = Number(a.arrowWidth ?? 180);
+    const slant = 120 + Number(a.boneSlant ?? 120);
 
-  drag = {
-    catId,
-    blockId,
-    pointerId,
-    // offset keeps the grabbed point aligned with the block so it doesn't jump
-    tOffset: currentT - grabT
-  };
+    // More left padding so the left bones don’t clash with the edge
+    const marginL = 160;
+
+    const arrowX = W - arrowW;
+    const spineStart = marginL;
+    const spineEnd = arrowX;
+
+    // category bones: anchored at evenly spaced points along the spine band
+    const topCats = catsBySide("top");
+    const botCats = catsBySide("bottom");
+
+    const topXs = spineAnchors(topCats.length, spineStart + 140, spineEnd - 30);
+    const botXs = spineAnchors(botCats.length, spineStart + 140, spineEnd - 30);
+
+    const yTop = 70;
+    const yBot = H - 70;
+
+    // catId -> { xSpine,ySpine,xEdge,yEdge, side }
+    const bones = new Map();
+    topCats.forEach((cat, i) => {
+      const xSpine = topXs[i];
+      bones.set(cat.id, { xSpine, ySpine: midY, xEdge: clamp(xSpine - slant, 90, W - 40), yEdge: yTop, side: "top" });
+    });
+    botCats.forEach((cat, i) => {
+      const xSpine = botXs[i];
+      bones.set(cat.id, { xSpine, ySpine: midY, xEdge: clamp(xSpine - slant, 90, W - 40), yEdge: yBot, side: "bottom" });
+    });
+    return { W, midY, arrowX, spineStart, spineEnd, bones };
+  }
+
+  function drawStaticBones() {
+    ensureGroups();
+    clearGroup(gStatic);
+    catBones.clear();
+
+    const a = model.appearance || {};
+    const stroke = a.boneColor || "#c00000";
+    const thickness = Number(a.boneThickness ?? 10);
+    const { W, midY, arrowX, spineStart, spineEnd, bones } = boneGeometry(canvas);
+
+    // spine
+    addLine(gStatic, spineStart, midY, spineEnd, midY, stroke, thickness);
+
+    // arrow
+    const arrowTop = midY - 95;
+    const arrowBot = midY + 95;
+    const arrowTipX = W - 18;
+    const arrowBodyX = arrowX;
+    addFilledPath(gStatic, [
+      `M ${arrowBodyX} ${arrowTop}`,
+      `L ${arrowTipX} ${midY}`,
+      `L ${arrowBodyX} ${arrowBot}`,
+      `L ${arrowBodyX} ${arrowTop}`,
+      "Z"
+    ].join(" "), stroke);
+
+    bones.forEach((bone, catId) => {
+      addLine(gStatic, bone.xSpine, bone.ySpine, bone.xEdge, bone.yEdge, stroke, thickness);
+      catBones.set(catId, bone);
+    });
+  }
+
+  function spineAnchors(n, startX, endX){
+    if (n <= 1) return [ (startX+endX)/2 ];
+    const step = (endX - startX) / (n - 1);
+    return Array.from({length:n}, (_,i)=> startX + i*step);
+  }
+
+  // ribs from each block's bone point, extending left
+  function drawRibs() {
+  ensureGroups();
+  clearGroup(gRibs);
+
+  const a = model.appearance || {};
+  const stroke = a.boneColor || "#c00000";
+  const ribThickness = Math.max(2, Number(a.boneThickness ?? 10) - 4);
+  const ribLen = Number(a.ribLength ?? 150);
+
+  // Build a quick lookup for DOM blocks, so we can place ribs above/below them
+  const blockEls = new Map(); // blockId -> element
+  blocksLayer.querySelectorAll(".block").forEach(el => {
+    blockEls.set(el.dataset.blockId, el);
+  });
+
+  model.categories.forEach(cat => {
+    const bone = catBones.get(cat.id);
+    if (!bone) return;
+
+    cat.blocks.forEach(block => {
+      const el = blockEls.get(block.id);
+      if (!el) return;
+
+      // Compute a rib Y based on the block's on-screen position:
+      //  - top categories: rib just ABOVE the block
+      //  - bottom categories: rib just BELOW the block
+      const r = rectInCanvas(el);
+
+      const ribOffset = 8;
+      let ribYSvg = (cat.side === "top")
+       ? (r.top - ribOffset)      // above the block
+       : (r.bottom + ribOffset);  // below the block
+
+      // keep within canvas bounds (optional but helps near edges)
+      ribYSvg = clamp(ribYSvg, 0, canvas.height);
+
+      // Find the x on the diagonal bone at this y (via t-at-y interpolation)
+      const denom = (bone.yEdge - bone.ySpine);
+      if (Math.abs(denom) < 1e-6) return;
+
+      const tAtY = (ribYSvg - bone.ySpine) / denom;
+
+      // Keep ribs within the bone segment (prevents weird off-bone lines)
+      const tClamped = clamp(tAtY, 0.02, 0.98);
+
+      const xOnBone = bone.xSpine + tClamped * (bone.xEdge - bone.xSpine);
+
+      // Rib goes left from the bone by ribLen
+      const x2 = xOnBone;
+      const x1 = x2 - ribLen;
+
+      addLine(gRibs, x1, ribYSvg, x2, ribYSvg, stroke, ribThickness);
+    });
+  });
+
+  // the bone a dragged heading would be dropped on
+  const dropBone = drag?.targetCatId && catBones.get(drag.targetCatId);
+  if (dropBone) {
+    addLine(gRibs, dropBone.xSpine, dropBone.ySpine, dropBone.xEdge, dropBone.yEdge, DROP_TARGET_COLOR, Number(a.boneThickness ?? 10) + 8);
+    gRibs.lastChild.setAttribute("stroke-opacity", "0.35");
+    gRibs.lastChild.setAttribute("stroke-linecap", "round");
+  }
+  scheduleMinimap();
+}
+
+
+  function pointOnBone(bone, t){
+    return {
+      x: bone.xSpine + t*(bone.xEdge - bone.xSpine),
+      y: bone.ySpine + t*(bone.yEdge - bone.ySpine)
+    };
+  }
+
+  // ---------------- Position labels & blocks (wrapper-relative) ----------------
+  function positionLabels() {
+    labelsLayer.querySelectorAll(".catLabel").forEach(el => {
+      const catId = el.dataset.catId;
+      const bone = catBones.get(catId);
+      if (!bone) return;
+
+      // wrapper px are canvas units
+      const xPx = bone.xEdge;
+      const yPx = bone.yEdge;
+
+      // attach just off the bone end
+      const labelH = el.offsetHeight || 40;
+      const yOffset = (bone.side === "top") ? (-labelH + 6) : (-6);
+
+      el.style.left = `${xPx}px`;
+      el.style.top = `${yPx + yOffset}px`;
+    });
+  }
+
+  function positionBlocks() {
+    // growing headings can resize the canvas (fit content, always-on auto-arrange), which moves the bones
+    if (updateCanvas()) {
+      drawStaticBones();
+      positionLabels();
+    }
+    const arranged = lastAutoLayout;
+
+    blocksLayer.querySelectorAll(".block").forEach(el => {
+      const catId = el.dataset.catId;
+      const blockId = el.dataset.blockId;
+
+      const cat = model.categories.find(c => c.id === catId);
+      const block = cat?.blocks.find(b => b.id === blockId);
+      const bone = catBones.get(catId);
+      if (!cat || !block || !bone) return;
+
+      const t = arranged?.ts.get(block.id) ?? Number(block.t ?? 0.3);
+      const box = blockBoxAt(bone, cat.side, t, blockWidthOf(block), el.offsetHeight || 90, canvas);
+
+      el.style.left = `${box.left}px`;
+      el.style.top = `${box.top}px`;
+
+      // Store ribY (canvas units = SVG units) so drawRibs can use it precisely
+      ribYByBlockId.set(block.id, box.ribY);
+    });
+    scheduleMinimap();
+    if (peers.size) drawPresence();
+  }
+
+  function blockWidthOf(block) {
+    return block.w ? Number(block.w) : Number(model.appearance?.blockWidth ?? 300);
+  }
+
+  // Where a heading box sits for a given t, in canvas units (size = canvas width/height)
+  function blockBoxAt(bone, side, t, w, h, size) {
+    const p = pointOnBone(bone, clamp(t, 0.08, 0.92));
+    const xPx = p.x;
+    const ribY = p.y;
+
+    // block sits to the left of the rib start
+    const gapToBone = 30;
+    const left = clamp(xPx - gapToBone - w, 8, size.width - 8 - Math.min(w, size.width - 16));
+
+    // Place block below rib (top categories) or above rib (bottom categories)
+    const verticalGap = 8;
+    const top = clamp(side === "top" ? ribY + verticalGap : ribY - h - verticalGap, 8, size.height - h - 8);
+    return { left, top, width: w, height: h, ribY };
+  }
+
+  // ---------------- Auto-arrange (collision-free layout) ----------------
+  const CANVAS_GROW_STEP = 60;
+  let lastAutoLayout = null; // what always-on mode is currently showing
+  let lastAutoLayoutKey = "";
+  const LAYOUT_PAD = 6; // minimum gap kept between boxes
+
+  // Try to place every heading without overlaps, growing the canvas until it fits.
+  // distribute: spread each bone's headings evenly first (the Auto-arrange action);
+  // otherwise each heading stays as close to its own t as it can (always-on mode).
+  // Returns { height, ts: Map(blockId -> t), fits }.
+  function autoLayout(distribute, base = canvasSize(), sizes = measureLayoutItems()) {
+    let height = base.height;
+    for (;;) {
+      const result = arrangeAt({ width: base.width, height }, sizes, distribute);
+      // past the largest canvas, keep the best effort at that size
+      if (result.fits || height >= CANVAS_LIMITS.maxHeight) return { ...result, height };
+      height = Math.min(CANVAS_LIMITS.maxHeight, height + CANVAS_GROW_STEP);
+    }
+  }
+
+  // Always-on mode runs on every reposition (resizes, typing, dragging), so only lay out
+  // again when something the layout depends on has changed: the model or a measured size
+  function cachedAutoLayout(base) {
+    const sizes = measureLayoutItems();
+    const key = JSON.stringify([
+      base.width, base.height, drag?.blockId || null, model.appearance,
+      model.categories.map(c => [c.id, c.side, c.blocks.map(b => [b.id, b.t, blockWidthOf(b)])]),
+      [...sizes.blocks], [...sizes.labels], sizes.effect
+    ]);
+    if (key !== lastAutoLayoutKey || !lastAutoLayout) {
+      lastAutoLayoutKey = key;
+      return autoLayout(false, base, sizes);
+    }
+    return lastAutoLayout;
+  }
+
+  // Box sizes don't depend on where they are placed, so measure once per layout
+  function measureLayoutItems() {
+    const blocks = new Map();
+    blocksLayer.querySelectorAll(".block").forEach(el => blocks.set(el.dataset.blockId, el.offsetHeight || 90));
+    const labels = new Map();
+    labelsLayer.querySelectorAll(".catLabel").forEach(el => {
+      labels.set(el.dataset.catId, { w: el.offsetWidth || 200, h: el.offsetHeight || 40 });
+    });
+    const e = rectInCanvas(effectBox);
+    const effect = { left: e.left, top: e.top, width: e.width, height: e.height, baseHeight: canvas.height };
+    return { blocks, labels, effect };
+  }
+
+  function arrangeAt(size, sizes, distribute) {
+    const bones = boneGeometry(size).bones;
+    const placed = [];
+    const ts = new Map();
+    let fits = true;
+
+    // fixed obstacles: category labels at the bone ends and the problem box (vertically centred)
+    model.categories.forEach(cat => {
+      const bone = bones.get(cat.id);
+      const l = sizes.labels.get(cat.id);
+      if (!bone || !l) return;
+      const x = bone.xEdge, y = bone.yEdge;
+      placed.push({ left: x - l.w / 2, top: bone.side === "top" ? y - l.h + 6 : y - 6, width: l.w, height: l.h });
+    });
+    const e = sizes.effect;
+    if (e.width) placed.push({ ...e, top: e.top + (size.height - e.baseHeight) / 2 });
+
+    const hits = (box) => placed.some(r =>
+      box.left < r.left + r.width + LAYOUT_PAD && r.left < box.left + box.width + LAYOUT_PAD &&
+      box.top < r.top + r.height + LAYOUT_PAD && r.top < box.top + box.height + LAYOUT_PAD);
+
+    // a heading being dragged keeps its place; everything else works around it
+    const pinned = drag?.blockId;
+    const pinnedCat = model.categories.find(c => c.blocks.some(b => b.id === pinned));
+    const cats = pinnedCat ? [pinnedCat, ...model.categories.filter(c => c !== pinnedCat)] : model.categories;
+
+    cats.forEach(cat => {
+      const bone = bones.get(cat.id);
+      if (!bone) return;
+      const order = cat.blocks.slice().sort((a, b) => a.t - b.t);
+      const n = order.length;
+      const targets = new Map(order.map((b, i) => [b.id, distribute ? 0.12 + 0.76 * (n === 1 ? 0.25 : i / (n - 1)) : Number(b.t ?? 0.3)]));
+      if (pinned && order.some(b => b.id === pinned)) order.unshift(...order.splice(order.findIndex(b => b.id === pinned), 1));
+
+      let minT = 0.08; // keeps headings in their order along the bone
+      order.forEach(block => {
+        const w = blockWidthOf(block);
+        const h = sizes.blocks.get(block.id) || 90;
+        const target = targets.get(block.id);
+        let chosen = null;
+        if (block.id === pinned) chosen = target;
+        else {
+          for (let k = 0; k <= 84 && chosen === null; k++) {
+            for (const t of k ? [target + k / 100, target - k / 100] : [target]) {
+              if (t < minT - 1e-9 || t < 0.08 || t > 0.92) continue;
+              if (!hits(blockBoxAt(bone, cat.side, t, w, h, size))) { chosen = t; break; }
+            }
+          }
+        }
+        if (chosen === null) { fits = false; chosen = clamp(Math.max(target, minT), 0.08, 0.92); }
+        chosen = Math.round(chosen * 100) / 100;
+        ts.set(block.id, chosen);
+        placed.push(blockBoxAt(bone, cat.side, chosen, w, h, size));
+        if (block.id !== pinned) minT = chosen;
+      });
+    });
+    return { ts, fits };
+  }
+
+  // The Auto-arrange action: spread headings out, write their new t values and keep the grown canvas
+  function runAutoArrange() {
+    // when fitting content, start again from the default size so the canvas can shrink too
+    const base = model.canvas.fitContent ? fittedCanvasSize(CANVAS_DEFAULT) : canvasSize();
+    const result = autoLayout(true, base);
+    model.categories.forEach(cat => cat.blocks.forEach(b => {
+      if (result.ts.has(b.id)) b.t = result.ts.get(b.id);
+    }));
+    const grown = !model.canvas.fitContent && result.height > base.height;
+    // a fitted canvas sizes itself to the arranged headings; only a fixed size is stored
+    if (!model.canvas.fitContent) model.canvas.height = result.height;
+    modelChanged();
+    renderAll();
+    syncControlsFromModel();
+    announce(result.fits
+      ? `Headings arranged${grown ? `; canvas height increased to ${result.height}` : ""}.`
+      : "Headings arranged, but some still overlap: there are too many to fit.");
+  }
+
+  // Turning always-on off keeps headings where they were shown instead of jumping back
+  function setAutoArrange(on) {
+    if (!on) {
+      const result = lastAutoLayout || autoLayout(false);
+      model.categories.forEach(cat => cat.blocks.forEach(b => {
+        if (result.ts.has(b.id)) b.t = result.ts.get(b.id);
+      }));
+      if (!model.canvas.fitContent) model.canvas.height = Math.max(model.canvas.height, result.height);
+    }
+    model.layout.autoArrange = on;
+    modelChanged();
+    renderAll();
+  }
+
+  $("btnAutoArrange").addEventListener("click", runAutoArrange);
+  $("autoArrange").addEventListener("change", (e) => setAutoArrange(e.target.checked));
+
+  // ---------------- Dragging along the bone ----------------
+  const DROP_TARGET_COLOR = "#005eb8";
+
+  function startDrag(catId, blockId, pointerId, startEvent) {
+  const cat = model.categories.find(c => c.id === catId);
+  const block = cat?.blocks.find(b => b.id === blockId);
+  const bone = catBones.get(catId);
+  if (!cat || !block || !bone) return;
+
+  // pointer -> svg coords
+  const { x, y } = clientToCanvas(startEvent.clientX, startEvent.clientY);
+
+  // projected t at grab moment
+  const grabT = projectT({x,y}, {x:bone.xSpine,y:bone.ySpine}, {x:bone.xEdge,y:bone.yEdge});
+  const currentT = clamp(Number(block.t ?? 0.3), 0.08, 0.92);
+
+  // where the pointer is relative to the block's point on the bone, to find the bone it is over
+  const anchor = pointOnBone(bone, currentT);
+
+  drag = {
+    catId,
+    blockId,
+    pointerId,
+    // offset keeps the grabbed point aligned with the block so it doesn't jump
+    tOffset: currentT - grabT,
+    startT: currentT,
+    grab: { x: x - anchor.x, y: y - anchor.y },
+    targetCatId: null, // another category's bone the heading would be dropped on
+    targetT: null
+  };
+
+  document.addEventListener("pointermove", onDragMove);
+  document.addEventListener("pointerup", onDragEnd, { once: true });
+  document.addEventListener("pointercancel", onDragEnd, { once: true });
+}
+
+
+
+  function onDragMove(e) {
+    if (!drag) return;
+    const cat = model.categories.find(c => c.id === drag.catId);
+    const block = cat?.blocks.find(b => b.id === drag.blockId);
+    const bone = catBones.get(drag.catId);
+    if (!cat || !block || !bone) return;
+
+    // pointer -> svg coords
+    const { x, y } = clientToCanvas(e.clientX, e.clientY);
+
+    // Off its own bone and over another one: stay put and highlight that bone as the drop target
+    const target = dropBoneAt({ x: x - drag.grab.x, y: y - drag.grab.y }, drag.catId);
+    drag.targetCatId = target?.catId || null;
+    drag.targetT = target?.t ?? null;
+
+    if (target) {
+      block.t = drag.startT;
+    } else {
+      // project point onto bone segment to find t
+      const t = projectT({x,y}, {x:bone.xSpine,y:bone.ySpine}, {x:bone.xEdge,y:bone.yEdge});
+      block.t = clamp(t + (drag.tOffset || 0), 0.08, 0.92);
+    }
+    markDropCategory(drag.targetCatId);
+    scheduleDragFrame();
+  }
+
+  // Pointer events can arrive many times per frame; redraw (and re-arrange) at most once per frame
+  let dragFrame = 0;
+  function scheduleDragFrame() {
+    if (dragFrame) return;
+    dragFrame = requestAnimationFrame(() => {
+      dragFrame = 0;
+      if (!drag) return;
+      drawRibs();
+      positionBlocks();
+      updateFloatingTools();
+    });
+  }
+
+  function onDragEnd() {
+  document.removeEventListener("pointermove", onDragMove);
+  markDropCategory(null);
+  const done = drag;
+  drag = null;
+  if (done?.targetCatId) {
+    const cat = model.categories.find(c => c.id === done.catId);
+    const block = cat?.blocks.find(b => b.id === done.blockId);
+    const target = model.categories.find(c => c.id === done.targetCatId);
+    if (block && target) { moveBlockToCategory(cat, block, target, done.targetT); return; }
+  }
+  if (done) {
+    // the heading is no longer pinned, so always-on mode arranges everything again
+    positionBlocks();
+    drawRibs();
+    updateFloatingTools();
+    modelChanged();
+    updateTreeLabels();
+  }
+}
+
+  // The category bone a dragged heading's anchor point is over, if it isn't the heading's own:
+  // the nearest bone, as long as it is clearly nearer than its own. Returns { catId, t } or null.
+  function dropBoneAt(p, ownCatId) {
+    let best = null, ownDist = Infinity;
+    catBones.forEach((bone, catId) => {
+      const t = clamp(projectT(p, { x: bone.xSpine, y: bone.ySpine }, { x: bone.xEdge, y: bone.yEdge }), 0.08, 0.92);
+      const on = pointOnBone(bone, t);
+      const dist = Math.hypot(p.x - on.x, p.y - on.y);
+      if (catId === ownCatId) ownDist = dist;
+      else if (!best || dist < best.dist) best = { catId, t, dist };
+    });
+    return best && best.dist + 20 < ownDist ? { catId: best.catId, t: best.t } : null;
+  }
+
+  // Highlight a category label while a heading is dragged over its bone (the bone itself is drawn by drawRibs)
+  function markDropCategory(catId) {
+    labelsLayer.querySelectorAll(".catLabel").forEach(el => {
+      el.classList.toggle("dropTarget", el.dataset.catId === catId);
+    });
+    blockElement(drag?.blockId)?.classList.toggle("is-leaving", !!catId);
+  }
+
+
+  function projectT(p, a, b){
+    const abx = b.x - a.x, aby = b.y - a.y;
+    const apx = p.x - a.x, apy = p.y - a.y;
+    const denom = abx*abx + aby*aby;
+    if (denom < 1e-6) return 0;
+    return (apx*abx + apy*aby) / denom;
+  }
+
+  // ---------------- Floating tools near selection ----------------
+  function updateFloatingTools() {
+    if (!selected.catId || !selected.blockId) {
+      floatingTools.style.display = "none";
+      return;
+    }
+
+    const el = blocksLayer.querySelector(`.block[data-block-id="${cssEscape(selected.blockId)}"]`);
+    if (!el) { floatingTools.style.display = "none"; return; }
+
+    const r = rectInCanvas(el);
+
+    // place near top-right of selected block
+    const x = r.right + 8;
+    const y = r.top - 6;
+
+    // the toolbar is drawn at 1/zoom so it stays readable; clamp with its size in canvas units
+    floatingTools.style.left = `${clamp(x, 8, canvas.width - 160 / zoom)}px`;
+    floatingTools.style.top  = `${clamp(y, 8, canvas.height - 40 / zoom)}px`;
+    floatingTools.style.display = "flex";
+  }
+
+  btnAddHeading.addEventListener("click", () => {
+    if (!selected.catId) return;
+    const cat = model.categories.find(c => c.id === selected.catId);
+    if (!cat) return;
+    addHeading(cat, cat.blocks.find(b => b.id === selected.blockId));
+  });
+
+  btnAddBullet.addEventListener("click", () => {
+    if (!selected.catId || !selected.blockId) return;
+    const cat = model.categories.find(c => c.id === selected.catId);
+    const block = cat?.blocks.find(b => b.id === selected.blockId);
+    if (!cat || !block) return;
+    addBullet(block, undefined);
+  });
+
+  // ---------------- Adding, deleting and keyboard navigation ----------------
+  // New heading on the same bone, just past `after` (slightly different t so it's visible)
+  function addHeading(cat, after) {
+    const baseT = after ? Number(after.t ?? 0.3) : 0.3;
+    const nb = mkBlock(clamp(baseT + 0.10, 0.08, 0.92));
+    cat.blocks.push(nb);
+    select(cat.id, nb.id);
+    modelChanged();
+    renderAll();
+    focusTitle(nb.id);
+    announce(`Heading added to ${cat.label}.`);
+  }
+
+  // afterId: a bullet id to insert after (same level), null for the top of the list,
+  // undefined for the end of the list
+  function addBullet(block, afterId) {
+    if (!Array.isArray(block.bullets)) block.bullets = [];
+    const nb = mkBullet();
+    const loc = afterId ? findBullet(block.bullets, afterId) : null;
+    if (loc) loc.list.splice(loc.index + 1, 0, nb);
+    else if (afterId === null) block.bullets.unshift(nb);
+    else block.bullets.push(nb);
+    modelChanged();
+    renderAll();
+    focusBullet(nb.id);
+    announce(`Bullet added under ${block.title ? `"${block.title}"` : "untitled heading"}.`);
+  }
+
+  // Backspace in an empty bullet: remove it and continue editing the line above
+  function removeEmptyBullet(block, bulletId) {
+    const flat = [];
+    const walk = (list) => list.forEach(b => { flat.push(b.id); walk(b.children); });
+    walk(block.bullets);
+    const prevId = flat[flat.indexOf(bulletId) - 1];
+
+    const loc = findBullet(block.bullets, bulletId);
+    if (!loc) return;
+    loc.list.splice(loc.index, 1);
+    if (block.bullets.length === 0) block.bullets.push(mkBullet());
+    modelChanged();
+    renderAll();
+    if (prevId) focusBullet(prevId);
+    else focusTitle(block.id);
+    announce("Bullet deleted.");
+  }
+
+  function deleteBlock(cat, block) {
+    const ok = window.confirm("Delete this heading and all its bullets?");
+    if (!ok) return false;
+    const order = orderedBlocks();
+    const at = order.findIndex(o => o.block.id === block.id);
+    cat.blocks = cat.blocks.filter(b => b.id !== block.id);
+    if (cat.blocks.length === 0) {
+      cat.blocks.push(mkBlock(0.3)); // sensible default position on the bone
+    }
+    if (selected.blockId === block.id) selected = { catId: null, blockId: null };
+    modelChanged();
+    renderAll();
+    announce(`Heading ${block.title ? `"${block.title}" ` : ""}deleted from ${cat.label}.`);
+    return order[at + 1] || order[at - 1];
+  }
+
+  // Reading order for Tab: categories as listed, headings from the spine outwards
+  function orderedBlocks() {
+    const out = [];
+    model.categories.forEach(cat => {
+      cat.blocks.slice().sort((a, b) => a.t - b.t).forEach(block => out.push({ cat, block }));
+    });
+    return out;
+  }
+
+  function blockElement(blockId) {
+    return blocksLayer.querySelector(`.block[data-block-id="${cssEscape(blockId)}"]`);
+  }
+
+  function focusBlock(catId, blockId) {
+    select(catId, blockId);
+    blockElement(blockId)?.focus();
+  }
+
+  function focusTitle(blockId) {
+    const el = blockElement(blockId)?.querySelector(".titleText");
+    if (!el) return;
+    el.focus();
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    range.collapse(false);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+
+  // Nearest heading on screen in the arrow's direction (may be on another category bone)
+  function neighbourInDirection(blockId, key) {
+    const from = blockElement(blockId)?.getBoundingClientRect();
+    if (!from) return null;
+    const dir = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[key];
+    const cx = from.left + from.width / 2, cy = from.top + from.height / 2;
+    let best = null, bestScore = Infinity;
+    orderedBlocks().forEach(o => {
+      if (o.block.id === blockId) return;
+      const r = blockElement(o.block.id)?.getBoundingClientRect();
+      if (!r) return;
+      const dx = r.left + r.width / 2 - cx, dy = r.top + r.height / 2 - cy;
+      const along = dx * dir[0] + dy * dir[1];
+      if (along <= 1) return;
+      const across = Math.abs(dx * dir[1] - dy * dir[0]);
+      const score = along + across * 2;
+      if (score < bestScore) { bestScore = score; best = o; }
+    });
+    return best;
+  }
+
+  // Alt+Arrow moves a heading along its bone in whichever direction the arrow points
+  function nudgeBlock(cat, block, key, step) {
+    const bone = catBones.get(cat.id);
+    if (!bone) return;
+    const dir = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[key];
+    const along = dir[0] * (bone.xEdge - bone.xSpine) + dir[1] * (bone.yEdge - bone.ySpine);
+    if (Math.abs(along) < 1e-6) return;
+    moveBlockTo(cat, block, Number(block.t ?? 0.3) + Math.sign(along) * step);
+  }
+
+  // Shared by Alt+Arrow and the drag-handle slider
+  function moveBlockTo(cat, block, t) {
+    t = clamp(Math.round(t * 100) / 100, 0.08, 0.92);
+    if (t === block.t) return;
+    block.t = t;
+    drawRibs();
+    positionBlocks();
+    updateFloatingTools();
+    updateTreeLabels();
+    modelChanged("nudge:" + block.id);
+    announce(`Moved to ${Math.round(t * 100)}% along ${cat.label}.`);
+  }
+
+  // The drag handle is a slider: arrows step, Page Up/Down jump, Home/End go to the ends
+  function onHandleKeydown(e, cat, block) {
+    const t = Number(block.t ?? 0.3);
+    const next = {
+      ArrowRight: t + 0.02, ArrowUp: t + 0.02, ArrowLeft: t - 0.02, ArrowDown: t - 0.02,
+      PageUp: t + 0.1, PageDown: t - 0.1, Home: 0.08, End: 0.92
+    }[e.key];
+    if (next === undefined || e.altKey || e.ctrlKey || e.metaKey) return;
+    e.preventDefault();
+    e.stopPropagation();
+    moveBlockTo(cat, block, next);
+  }
+
+  // Keys on a heading box. Text fields inside handle their own Enter/Tab first;
+  // navigation keys only apply when the box itself (not its text) has focus.
+  function onBlockKeydown(e, cat, block) {
+    const onBox = e.target === e.currentTarget;
+    const mod = e.ctrlKey || e.metaKey;
+    // a shared view can be browsed with the keyboard but not changed
+    if (sharedView && !(e.key === "Tab" || (e.key.startsWith("Arrow") && !e.altKey))) return;
+
+    if (e.key === "Enter" && mod) {
+      e.preventDefault();
+      addHeading(cat, block);
+      return;
+    }
+    if (e.key === "Escape") {
+      if (causeMenu.classList.contains("open")) return;
+      e.preventDefault();
+      if (onBox) { e.currentTarget.blur(); clearSelection(); }
+      else focusBlock(cat.id, block.id);
+      return;
+    }
+    if (!onBox || mod) return;
+
+    if (e.key === "Enter") {
+      e.preventDefault();
+      addBullet(block, undefined);
+    } else if (e.key === "F2") {
+      e.preventDefault();
+      focusTitle(block.id);
+    } else if (e.key === "ContextMenu" || (e.key === "F10" && e.shiftKey)) {
+      e.preventDefault();
+      const btn = e.currentTarget.querySelector(".blockTitle .metaBtn");
+      if (!btn) return;
+      openCauseMenu({ catId: cat.id, blockId: block.id, itemId: block.id }, btn);
+      causeMenu.querySelector("button:not(:disabled), input")?.focus();
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      const next = deleteBlock(cat, block);
+      if (next) focusBlock(next.cat.id, next.block.id);
+    } else if (e.key === "Tab") {
+      const order = orderedBlocks();
+      const next = order[order.findIndex(o => o.block.id === block.id) + (e.shiftKey ? -1 : 1)];
+      if (!next) return; // past either end Tab works as usual, so focus can leave the diagram
+      e.preventDefault();
+      focusBlock(next.cat.id, next.block.id);
+    } else if (e.key.startsWith("Arrow")) {
+      e.preventDefault();
+      if (e.altKey) {
+        nudgeBlock(cat, block, e.key, e.shiftKey ? 0.1 : 0.02);
+      } else {
+        const next = neighbourInDirection(block.id, e.key);
+        if (next) focusBlock(next.cat.id, next.block.id);
+      }
+    }
+  }
+
+  // ---------------- Moving causes between categories and headings ----------------
+  // A heading keeps its id, content and votes when it changes category; a bullet takes its
+  // sub-causes with it. Both can be dragged, or moved from the cause menu without a mouse.
+  let bulletDrag = null; // { block, bulletId, li, drop }
+
+  function moveBlockToCategory(cat, block, target, t = block.t) {
+    if (cat === target) return;
+    cat.blocks = cat.blocks.filter(b => b.id !== block.id);
+    if (cat.blocks.length === 0) {
+      cat.blocks.push(mkBlock(0.3)); // every bone keeps a heading to type into
+    }
+    block.t = clamp(Math.round(Number(t) * 100) / 100, 0.08, 0.92);
+    target.blocks.push(block);
+    if (selected.blockId === block.id) selected = { catId: target.id, blockId: block.id };
+    modelChanged();
+    renderAll();
+    announce(`Heading ${block.title ? `"${block.title}" ` : ""}moved to ${target.label}.`);
+  }
+
+  // Move a bullet into `list` (under `toBlock`) at `index`
+  function moveBullet(fromBlock, bulletId, toCat, toBlock, list, index) {
+    const loc = findBullet(fromBlock.bullets, bulletId);
+    if (!loc || containsList(loc.bullet, list)) return; // not into its own sub-causes
+    if (loc.list === list) {
+      if (index === loc.index || index === loc.index + 1) return; // already there
+      if (index > loc.index) index--;
+    }
+    loc.list.splice(loc.index, 1);
+    list.splice(index, 0, loc.bullet);
+    if (fromBlock.bullets.length === 0) fromBlock.bullets.push(mkBullet());
+    selected = { catId: toCat.id, blockId: toBlock.id };
+    modelChanged();
+    renderAll();
+    announce(fromBlock === toBlock ? "Bullet moved." : `Bullet moved to "${toBlock.title || "untitled heading"}" in ${toCat.label}.`);
+  }
+
+  function containsList(bullet, list) {
+    return bullet.children === list || bullet.children.some(b => containsList(b, list));
+  }
+
+  function startBulletDrag(cat, block, bullet, li, e) {
+    e.preventDefault();
+    e.stopPropagation();
+    select(cat.id, block.id);
+    bulletDrag = { block, bulletId: bullet.id, li, drop: null };
+    li.classList.add("is-dragging");
+    document.addEventListener("pointermove", onBulletDragMove);
+    document.addEventListener("pointerup", onBulletDragEnd, { once: true });
+    document.addEventListener("pointercancel", onBulletDragEnd, { once: true });
+  }
+
+  function onBulletDragMove(e) {
+    if (!bulletDrag) return;
+    clearBulletDropMarks();
+    const drop = bulletDrag.drop = bulletDropAt(e.clientX, e.clientY);
+    if (!drop) return;
+    drop.blockEl.classList.add("dropTarget");
+    drop.li?.classList.add(drop.after ? "dropAfter" : "dropBefore");
+  }
+
+  function onBulletDragEnd() {
+    document.removeEventListener("pointermove", onBulletDragMove);
+    if (!bulletDrag) return;
+    const { block, bulletId, li, drop } = bulletDrag;
+    bulletDrag = null;
+    clearBulletDropMarks();
+    li.classList.remove("is-dragging");
+    if (drop) moveBullet(block, bulletId, drop.cat, drop.block, drop.list, drop.index);
+  }
+
+  // Where a dragged bullet would land: next to the bullet under the pointer, or at the end of a heading
+  function bulletDropAt(clientX, clientY) {
+    const el = document.elementFromPoint?.(clientX, clientY);
+    const blockEl = el?.closest?.(".block");
+    if (!blockEl || bulletDrag.li.contains(el)) return null;
+    const cat = model.categories.find(c => c.id === blockEl.dataset.catId);
+    const block = cat?.blocks.find(b => b.id === blockEl.dataset.blockId);
+    if (!block) return null;
+    const li = el.closest("li[data-bullet-id]");
+    const loc = li && findBullet(block.bullets, li.dataset.bulletId);
+    if (!loc) return { cat, block, blockEl, li: null, list: block.bullets, index: block.bullets.length };
+    const r = li.querySelector(".bulletText").getBoundingClientRect();
+    const after = clientY > r.top + r.height / 2;
+    return { cat, block, blockEl, li, after, list: loc.list, index: loc.index + (after ? 1 : 0) };
+  }
+
+  function clearBulletDropMarks() {
+    blocksLayer.querySelectorAll(".dropTarget, .dropBefore, .dropAfter").forEach(el => {
+      el.classList.remove("dropTarget", "dropBefore", "dropAfter");
+    });
+  }
+
+  // Cause menu: "Move to" a category (headings) or the end of another heading (bullets)
+  function renderMoveControl(cat, block, item) {
+    const isHeading = item === block;
+    const label = document.createElement("label");
+    label.className = "causeMenuRow causeMenuMove";
+    label.appendChild(document.createTextNode("Move to "));
+    const picker = document.createElement("select");
+    model.categories.forEach(c => {
+      if (isHeading) {
+        picker.appendChild(new Option(`${c.label} (${c.side})`, c.id, false, c === cat));
+        return;
+      }
+      const group = document.createElement("optgroup");
+      group.label = c.label;
+      c.blocks.forEach(b => group.appendChild(new Option(b.title || "(untitled heading)", b.id, false, b === block)));
+      picker.appendChild(group);
+    });
+    picker.addEventListener("change", () => {
+      closeCauseMenu();
+      if (isHeading) {
+        const target = model.categories.find(c => c.id === picker.value);
+        if (!target) return;
+        moveBlockToCategory(cat, block, target);
+        focusBlock(target.id, block.id);
+        return;
+      }
+      const toCat = model.categories.find(c => c.blocks.some(b => b.id === picker.value));
+      const toBlock = toCat?.blocks.find(b => b.id === picker.value);
+      if (!toBlock) return;
+      moveBullet(block, item.id, toCat, toBlock, toBlock.bullets, toBlock.bullets.length);
+      focusBullet(item.id);
+    });
+    label.appendChild(picker);
+    return label;
+  }
+
+  // ---------------- Effect box move + resize persist ----------------
+  effectDrag.addEventListener("mousedown", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    effectDragState = {
+      startX: e.clientX,
+      startY: e.clientY,
+      startDx: model.effectPos?.dx ?? 0,
+      startDy: model.effectPos?.dy ?? 0
+    };
+    document.addEventListener("mousemove", onEffectMove);
+    document.addEventListener("mouseup", onEffectUp, { once: true });
+  });
+
+  function onEffectMove(e) {
+    if (!effectDragState) return;
+    // screen px -> canvas units
+    const dx = (e.clientX - effectDragState.startX) / zoom;
+    const dy = (e.clientY - effectDragState.startY) / zoom;
+    model.effectPos = { dx: effectDragState.startDx + dx, dy: effectDragState.startDy + dy };
+    applyAppearance();
+  }
+
+  function onEffectUp() {
+    document.removeEventListener("mousemove", onEffectMove);
+    if (effectDragState) modelChanged();
+    effectDragState = null;
+  }
+
+  effectTextEl.addEventListener("input", () => {
+    model.effectText = effectTextEl.textContent.trim();
+    modelChanged("effectText");
+    updateTreeLabels();
+  });
+
+  // Keyboard alternative to dragging the problem box: arrows move it (Shift for bigger steps)
+  effectDrag.addEventListener("keydown", (e) => {
+    const dir = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+    if (!dir) return;
+    e.preventDefault();
+    const step = e.shiftKey ? 40 : 10;
+    const pos = model.effectPos || { dx: 0, dy: 0 };
+    model.effectPos = { dx: pos.dx + dir[0] * step, dy: pos.dy + dir[1] * step };
+    applyAppearance();
+    modelChanged("effectPos");
+  });
+
+  function setupEffectResizeObserver() {
+    if (!("ResizeObserver" in window)) return;
+    if (effectResizeObs) effectResizeObs.disconnect();
+    effectResizeObs = new ResizeObserver(() => {
+      // layout size, so zooming in or out doesn't read as a resize
+      const w = clamp(Math.round(effectTextEl.offsetWidth), 120, 800);
+      const h = clamp(Math.round(effectTextEl.offsetHeight), 70, 700);
+      if (w === model.effectSize?.w && h === model.effectSize?.h) return;
+      model.effectSize = { w, h };
+      modelChanged("effectSize");
+    });
+    effectResizeObs.observe(effectTextEl);
+  }
+
+  // ---------------- Undo / redo ----------------
+  // Whole-model JSON snapshots: the model is small, and snapshots cover every
+  // mutation path (including ones added later) without per-operation inverses.
+  const HISTORY_LIMIT = 200;
+  const COALESCE_MS = 1200;
+
+  const btnUndo = $("btnUndo");
+  const btnRedo = $("btnRedo");
+
+  let undoStack = [];
+  let redoStack = [];
+  let historyBase = null;   // snapshot of the model as of the last recorded step
+  let lastCoalesceKey = null;
+  let lastChangeAt = 0;
+
+  // Embedded evidence files stay out of the snapshots: an attachment's data never changes,
+  // so one copy per attachment id is kept here and put back when a snapshot is restored.
+  const historyBlobs = new Map(); // attachment id -> data: URL
+
+  function snapshot() {
+    return JSON.stringify(model, function (key, value) {
+      if (key !== "data" || !value || !ATTACHMENT_KINDS.includes(this.kind)) return value;
+      historyBlobs.set(this.id, value);
+      return undefined;
+    });
+  }
+
+  function resetHistory() {
+    undoStack = [];
+    redoStack = [];
+    historyBlobs.clear();
+    historyBase = snapshot();
+    lastCoalesceKey = null;
+    updateHistoryButtons();
+  }
+
+  function recordHistory(coalesceKey) {
+    const snap = snapshot();
+    if (snap === historyBase) return;
+
+    const now = Date.now();
+    const merge = !!coalesceKey && coalesceKey === lastCoalesceKey && (now - lastChangeAt) < COALESCE_MS;
+    if (!merge && historyBase !== null) {
+      undoStack.push(historyBase);
+      if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    }
+    redoStack = [];
+    historyBase = snap;
+    lastCoalesceKey = coalesceKey || null;
+    lastChangeAt = now;
+    updateHistoryButtons();
+  }
+
+  function restoreSnapshot(snap) {
+    historyBase = snap;
+    lastCoalesceKey = null;
+    model = JSON.parse(snap);
+    walkCauses(c => c.item.attachments.forEach(att => {
+      if (att.kind === "image" || att.kind === "file") att.data = historyBlobs.get(att.id) || "";
+    }));
+
+    // keep the selection if the selected heading survived
+    const cat = model.categories.find(c => c.id === selected.catId);
+    if (!cat || !cat.blocks.some(b => b.id === selected.blockId)) selected = { catId: null, blockId: null };
+
+    syncControlsFromModel();
+    renderAll();
+    scheduleAutosave();
+    updateHistoryButtons();
+  }
+
+  function undo() {
+    if (collabSession?.joined) {
+      if (collabHistoryStep(collabUndoStack, collabRedoStack)) announce("Undone.");
+      return;
+    }
+    if (!undoStack.length) return;
+    redoStack.push(historyBase);
+    restoreSnapshot(undoStack.pop());
+    announce("Undone.");
+  }
+
+  function redo() {
+    if (collabSession?.joined) {
+      if (collabHistoryStep(collabRedoStack, collabUndoStack)) announce("Redone.");
+      return;
+    }
+    if (!redoStack.length) return;
+    undoStack.push(historyBase);
+    restoreSnapshot(redoStack.pop());
+    announce("Redone.");
+  }
+
+  function updateHistoryButtons() {
+    const live = collabSession?.joined;
+    btnUndo.disabled = (live ? collabUndoStack : undoStack).length === 0;
+    btnRedo.disabled = (live ? collabRedoStack : redoStack).length === 0;
+  }
+
+  btnUndo.addEventListener("click", undo);
+  btnRedo.addEventListener("click", redo);
+
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    // real form fields (dialogs, settings) keep their native undo
+    if (e.target.closest?.("input, textarea, select")) return;
+    if (document.querySelector(".modalOverlay.open")) return;
+
+    e.preventDefault();
+    if (key === "y" || e.shiftKey) redo();
+    else undo();
+  });
+
+  // ---------------- Side panel ----------------
+  const sidePanel = $("sidePanel");
+  $("openPanel").addEventListener("click", () => sidePanel.classList.add("open"));
+  $("closePanel").addEventListener("click", () => sidePanel.classList.remove("open"));
+
+  // ---------------- Categories (settings panel) ----------------
+  const categoryList = $("categoryList");
+
+  function renderCategoryPanel() {
+    categoryList.innerHTML = "";
+
+    ["top", "bottom"].forEach(side => {
+      const cats = catsBySide(side);
+
+      const heading = document.createElement("li");
+      heading.className = "categorySideHeading";
+      heading.textContent = side === "top" ? "Top bones (tail → head)" : "Bottom bones (tail → head)";
+      categoryList.appendChild(heading);
+
+      if (!cats.length) {
+        const empty = document.createElement("li");
+        empty.className = "categoryEmpty";
+        empty.textContent = "No categories on this side.";
+        categoryList.appendChild(empty);
+      }
+
+      cats.forEach((cat, i) => {
+        const row = document.createElement("li");
+        row.className = "categoryRow";
+
+        const name = document.createElement("span");
+        name.className = "categoryName";
+        name.textContent = cat.label || "Category";
+        name.title = "Click the label on the diagram to rename";
+        row.appendChild(name);
+
+        const addBtn = (text, title, disabled, fn) => {
+          const b = document.createElement("button");
+          b.type = "button";
+          b.textContent = text;
+          b.title = title;
+          b.disabled = disabled;
+          b.addEventListener("click", fn);
+          row.appendChild(b);
+        };
+        addBtn("◀", "Move towards the tail", i === 0, () => moveCategory(cat.id, -1));
+        addBtn("▶", "Move towards the head", i === cats.length - 1, () => moveCategory(cat.id, 1));
+        addBtn(side === "top" ? "▼" : "▲", side === "top" ? "Move to the bottom side" : "Move to the top side", false,
+          () => switchCategorySide(cat.id));
+        addBtn("✕", "Delete category", model.categories.length <= 1, () => deleteCategory(cat.id));
+
+        categoryList.appendChild(row);
+      });
+    });
+  }
+
+  function addCategory() {
+    const top = catsBySide("top").length;
+    const bottom = catsBySide("bottom").length;
+    const cat = { id: uid(), side: top <= bottom ? "top" : "bottom", label: "New category", blocks: [mkBlock(0.3)] };
+    model.categories.push(cat);
+    modelChanged();
+    renderAll();
+    announce(`Category added on the ${cat.side} side.`);
+
+    // jump straight into renaming the new label
+    const label = labelsLayer.querySelector(`.catLabel[data-cat-id="${cssEscape(cat.id)}"]`);
+    if (label) {
+      label.focus();
+      const range = document.createRange();
+      range.selectNodeContents(label);
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+    }
+  }
+
+  function deleteCategory(catId) {
+    const cat = model.categories.find(c => c.id === catId);
+    if (!cat || model.categories.length <= 1) return;
+    const hasContent = cat.blocks.some(b => b.title || (b.bullets || []).some(x => x.text || x.children.length));
+    if (hasContent && !window.confirm(`Delete the "${cat.label}" category and all its headings?`)) return;
+
+    model.categories = model.categories.filter(c => c.id !== catId);
+    if (selected.catId === catId) selected = { catId: null, blockId: null };
+    modelChanged();
+    renderAll();
+    announce(`Category "${cat.label}" deleted.`);
+  }
+
+  // Swap with the neighbouring category on the same side (order in model.categories
+  // only matters within a side, since each side is spaced independently)
+  function moveCategory(catId, dir) {
+    const cat = model.categories.find(c => c.id === catId);
+    if (!cat) return;
+    const sameSide = catsBySide(cat.side);
+    const other = sameSide[sameSide.indexOf(cat) + dir];
+    if (!other) return;
+
+    const i = model.categories.indexOf(cat);
+    const j = model.categories.indexOf(other);
+    model.categories[i] = other;
+    model.categories[j] = cat;
+    modelChanged();
+    renderAll();
+    announce(`"${cat.label}" moved ${dir < 0 ? "towards the tail" : "towards the head"}.`);
+  }
+
+  function switchCategorySide(catId) {
+    const cat = model.categories.find(c => c.id === catId);
+    if (!cat) return;
+    cat.side = cat.side === "top" ? "bottom" : "top";
+    // append at the head end of its new side
+    model.categories = model.categories.filter(c => c !== cat).concat(cat);
+    modelChanged();
+    renderAll();
+    announce(`"${cat.label}" moved to the ${cat.side} side.`);
+  }
+
+  $("btnAddCategory").addEventListener("click", addCategory);
+
+  function syncControlsFromModel() {
+    const a = model.appearance || {};
+    $("boneColor").value = a.boneColor || "#c00000";
+    $("boneThickness").value = String(a.boneThickness ?? 10);
+    $("fontSize").value = String(a.fontSize ?? 12);
+    $("arrowWidth").value = String(a.arrowWidth ?? 140);
+    $("labelWidth").value = String(a.labelWidth ?? 200);
+    $("ribLength").value = String(a.ribLength ?? 150);
+    const bw = $("blockWidth");
+    if (bw) bw.value = String(a.blockWidth ?? 300);
+    $("boneSlant").value = String(a.boneSlant ?? 200);
+    $("autoArrange").checked = !!model.layout?.autoArrange;
+    $("canvasWidth").value = String(model.canvas.width);
+    $("canvasHeight").value = String(model.canvas.height);
+    $("canvasFit").checked = !!model.canvas.fitContent;
+  }
+
+  function wireAppearanceControls() {
+    $("boneColor").addEventListener("input", (e) => { model.appearance.boneColor = e.target.value; modelChanged("appearance:boneColor"); renderAll(); });
+    $("boneThickness").addEventListener("input", (e) => { model.appearance.boneThickness = Number(e.target.value); modelChanged("appearance:boneThickness"); renderAll(); });
+    $("fontSize").addEventListener("input", (e) => { model.appearance.fontSize = Number(e.target.value); modelChanged("appearance:fontSize"); renderAll(); });
+    $("arrowWidth").addEventListener("input", (e) => { model.appearance.arrowWidth = Number(e.target.value); modelChanged("appearance:arrowWidth"); renderAll(); });
+    $("labelWidth").addEventListener("input", (e) => { model.appearance.labelWidth = Number(e.target.value); modelChanged("appearance:labelWidth"); renderAll(); });
+    $("ribLength").addEventListener("input", (e) => { model.appearance.ribLength = Number(e.target.value); modelChanged("appearance:ribLength"); renderAll(); });
+    const bw = $("blockWidth");
+   if (bw) bw.addEventListener("input", (e) => { model.appearance.blockWidth = Number(e.target.value); modelChanged("appearance:blockWidth"); renderAll(); });
+    $("boneSlant").addEventListener("input", (e) => { model.appearance.boneSlant = Number(e.target.value); modelChanged("appearance:boneSlant"); renderAll(); });
+  }
+
+  // ---------------- Modals ----------------
+  function openModal(overlay) {
+    overlay.classList.add("open");
+    overlay.setAttribute("aria-hidden", "false");
+  }
+
+  function closeModal(overlay) {
+    overlay.classList.remove("open");
+    overlay.setAttribute("aria-hidden", "true");
+  }
+
+  function wireModal(overlay, closeBtn) {
+    closeBtn.addEventListener("click", () => closeModal(overlay));
+    overlay.addEventListener("click", (e) => { if (e.target === overlay) closeModal(overlay); });
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    document.querySelectorAll(".modalOverlay.open").forEach(closeModal);
+  });
+
+  // ---------------- Help modal ----------------
+  const helpOverlay = $("helpOverlay");
+  $("btnHelp").addEventListener("click", () => openModal(helpOverlay));
+  wireModal(helpOverlay, $("helpClose"));
+
+  // ---------------- Diagram library (autosave to localStorage) ----------------
+  // Index of saved diagrams lives under one key; each diagram's model under its own key,
+  // so opening the panel never has to parse every diagram.
+  const LIB_INDEX_KEY = "fishbone.library";
+  const LIB_DOC_PREFIX = "fishbone.doc.";
+  const LIB_CURRENT_KEY = "fishbone.current";
+  const AUTOSAVE_DELAY = 500;
+
+  let currentDocId = null;
+  let autosaveTimer = null;
+  let storageWarned = false;
+
+  const libraryOverlay = $("libraryOverlay");
+  const libraryList = $("libraryList");
+
+  function storageGet(key) {
+    try { return window.localStorage.getItem(key); } catch (e) { return null; }
+  }
+
+  function storageSet(key, value) {
+    try {
+      window.localStorage.setItem(key, value);
+      return true;
+    } catch (e) {
+      console.error(e);
+      if (!storageWarned) {
+        storageWarned = true;
+        alert("Could not save to browser storage (it may be full or disabled). Use Export JSON to keep a copy.");
+      }
+      return false;
+    }
+  }
+
+  function storageRemove(key) {
+    try { window.localStorage.removeItem(key); } catch (e) { /* ignore */ }
+  }
+
+  function readLibrary() {
+    try {
+      const list = JSON.parse(storageGet(LIB_INDEX_KEY) || "[]");
+      return Array.isArray(list) ? list.filter(d => d && d.id) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeLibrary(list) {
+    storageSet(LIB_INDEX_KEY, JSON.stringify(list));
+  }
+
+  function autoName(m) {
+    const text = String(m.effectText || "").replace(/\s+/g, " ").trim();
+    if (!text || text === defaultModel().effectText) return "Untitled diagram";
+    return text.slice(0, 60);
+  }
+
+  function readDoc(id) {
+    const raw = storageGet(LIB_DOC_PREFIX + id);
+    if (!raw) return null;
+    try {
+      return normalizeModel(JSON.parse(raw));
+    } catch (e) {
+      console.error(e);
+      return null;
+    }
+  }
+
+  function writeDoc(id, m, name) {
+    if (!storageSet(LIB_DOC_PREFIX + id, JSON.stringify(m))) return;
+    const list = readLibrary();
+    let entry = list.find(d => d.id === id);
+    if (!entry) {
+      entry = { id, name: name || autoName(m), named: !!name };
+      list.push(entry);
+    } else if (!entry.named) {
+      entry.name = autoName(m);
+    }
+    entry.updated = Date.now();
+    writeLibrary(list);
+  }
+
+  function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveNow, AUTOSAVE_DELAY);
+  }
+
+  function saveNow() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (!currentDocId) return;
+    writeDoc(currentDocId, model);
+    if (libraryOverlay.classList.contains("open")) renderLibrary();
+  }
+
+  function setCurrentDoc(id) {
+    // a live session belongs to one diagram
+    if (collabSession && id !== collabSession.docId) leaveCollab();
+    currentDocId = id;
+    storageSet(LIB_CURRENT_KEY, id);
+  }
+
+  function createDoc(m, name) {
+    saveNow();
+    const id = uid();
+    writeDoc(id, m, name);
+    setCurrentDoc(id);
+    loadModel(m);
+    resetHistory();
+  }
+
+  function openDoc(id) {
+    if (id === currentDocId) return;
+    const m = readDoc(id);
+    if (!m) { alert("Could not open that diagram."); return; }
+    saveNow();
+    setCurrentDoc(id);
+    loadModel(m);
+    resetHistory();
+  }
+
+  function duplicateDoc(id) {
+    saveNow();
+    const entry = readLibrary().find(d => d.id === id);
+    const m = readDoc(id);
+    if (!entry || !m) return;
+    writeDoc(uid(), m, "Copy of " + entry.name);
+  }
+
+  function renameDoc(id) {
+    const list = readLibrary();
+    const entry = list.find(d => d.id === id);
+    if (!entry) return;
+    const name = window.prompt("Rename diagram", entry.name);
+    if (name === null) return;
+    const trimmed = name.trim();
+    entry.name = trimmed || autoName(readDoc(id) || {});
+    entry.named = !!trimmed;
+    writeLibrary(list);
+  }
+
+  function deleteDoc(id) {
+    const list = readLibrary();
+    const entry = list.find(d => d.id === id);
+    if (!entry) return;
+    const ok = window.confirm(`Delete "${entry.name}" from this browser? This cannot be undone.`);
+    if (!ok) return;
+    writeLibrary(list.filter(d => d.id !== id));
+    storageRemove(LIB_DOC_PREFIX + id);
+
+    if (id === currentDocId) {
+      clearTimeout(autosaveTimer);
+      currentDocId = null;
+      const next = readLibrary().sort((a, b) => (b.updated || 0) - (a.updated || 0))[0];
+      if (next) openDoc(next.id);
+      else createDoc(defaultModel());
+    }
+  }
+
+  function renderLibrary() {
+    libraryList.innerHTML = "";
+    const list = readLibrary().sort((a, b) => (b.updated || 0) - (a.updated || 0));
+
+    list.forEach(entry => {
+      const row = document.createElement("li");
+      row.className = "libraryItem" + (entry.id === currentDocId ? " is-current" : "");
+
+      const info = document.createElement("div");
+      info.className = "libraryInfo";
+      const name = document.createElement("strong");
+      name.textContent = entry.name;
+      const meta = document.createElement("span");
+      meta.textContent = (entry.id === currentDocId ? "Open now · " : "") +
+        (entry.shared ? `Live room "${entry.shared.room}" · ` : "") +
+        (entry.updated ? "Saved " + new Date(entry.updated).toLocaleString() : "");
+      info.appendChild(name);
+      info.appendChild(meta);
+      row.appendChild(info);
+
+      const actions = document.createElement("div");
+      actions.className = "libraryActions";
+      const addAction = (label, fn, disabled) => {
+        const b = document.createElement("button");
+        b.type = "button";
+        b.textContent = label;
+        b.disabled = !!disabled;
+        b.addEventListener("click", () => { fn(entry.id); renderLibrary(); });
+        actions.appendChild(b);
+      };
+      addAction("Open", (id) => { openDoc(id); closeModal(libraryOverlay); }, entry.id === currentDocId);
+      addAction("Duplicate", duplicateDoc);
+      addAction("Rename", renameDoc);
+      addAction("Delete", deleteDoc);
+      row.appendChild(actions);
+
+      libraryList.appendChild(row);
+    });
+  }
+
+  $("btnLibrary").addEventListener("click", () => {
+    saveNow();
+    renderLibrary();
+    openModal(libraryOverlay);
+  });
+  wireModal(libraryOverlay, $("libraryClose"));
+
+  $("btnNewDiagram").addEventListener("click", () => {
+    closeModal(libraryOverlay);
+    openTemplatePicker("new");
+  });
+
+  // Flush pending edits when the tab is hidden or closed
+  window.addEventListener("pagehide", saveNow);
+  document.addEventListener("visibilitychange", () => { if (document.hidden) saveNow(); });
+
+  function restoreLastSession() {
+    const list = readLibrary();
+    let id = storageGet(LIB_CURRENT_KEY);
+    if (!list.some(d => d.id === id)) {
+      id = list.sort((a, b) => (b.updated || 0) - (a.updated || 0))[0]?.id || null;
+    }
+    const m = id ? readDoc(id) : null;
+    if (m) {
+      currentDocId = id;
+      storageSet(LIB_CURRENT_KEY, id);
+      model = m;
+    } else {
+      setCurrentDoc(uid());
+      writeDoc(currentDocId, model);
+    }
+  }
+
+  // ---------------- Live collaboration ----------------
+  // Several browsers edit one diagram through a relay server (collab-server.js). While connected,
+  // the model is mirrored into a small CRDT so edits merge without conflicts in any order:
+  //  - every object (category, heading, bullet, action) is keyed by its id, the model root by COLLAB_ROOT;
+  //  - each field is a last-writer-wins register stamped with a Lamport clock [counter, client];
+  //  - list membership and order are registers too: $parent ("parentId<SEP>list") and $pos, a
+  //    fractional position, so moves between headings or bones are single register writes;
+  //  - deletions are a $del tombstone, so a delete and a concurrent edit can't resurrect half an item;
+  //  - free text (headings, bullets, labels, the problem) is an RGA sequence, so two people typing in
+  //    the same bullet interleave their characters instead of overwriting each other.
+  // Local edits still end in modelChanged: the model is diffed against the CRDT to produce operations.
+  // Remote operations are applied to the CRDT and materialised back into `model`.
+  const COLLAB_ROOT = "$root";
+  const COLLAB_SEP = "\u001f";
+  const COLLAB_TEXT_FIELDS = new Set(["effectText", "label", "title", "text", "notes"]);
+  const COLLAB_NAME_KEY = "fishbone.collabName";
+  const COLLAB_SERVER_KEY = "fishbone.collabServer";
+  const COLLAB_PATH = "/collab/";
+  const COLLAB_MAX_MESSAGE = 8 * 1024 * 1024; // MAX_MESSAGE in collab-server.js
+  const POS_DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+  const PRESENCE_COLORS = ["#d5281b", "#007f3b", "#7c2855", "#ed8b00", "#330072", "#00a499", "#ae2573", "#005eb8"];
+
+  const collabOverlay = $("collabOverlay");
+  const btnCollab = $("btnCollab");
+  const presenceLayer = $("presenceLayer");
+
+  const collabClient = uid().slice(0, 10);
+  const collabColor = PRESENCE_COLORS[parseInt(collabClient.slice(0, 6), 16) % PRESENCE_COLORS.length];
+
+  let collabSession = null;  // { server, room, name, docId, joined } while collaborating
+  let collabSocket = null;
+  let collabRetry = 0;
+  let collabRetryTimer = null;
+  let crdt = null;           // { objs: Map id -> Map field -> { v?, ts }, texts: Map id -> Map field -> RGA }
+  let lamport = 0;
+  let collabInbox = [];
+  let collabInboxQueued = false;
+  let collabUndoStack = [];  // each step is a list of { k|t, before, after } changes
+  let collabRedoStack = [];
+  let lastSentBlockId;
+  const peers = new Map();   // client -> { name, color, blockId }
+
+  // -- CRDT core --
+  function collabKey(id, field) { return id + COLLAB_SEP + field; }
+  function tick() { return [++lamport, collabClient]; }
+  function seen(counter) { if (counter > lamport) lamport = counter; }
+  function tsAfter(a, b) { return a[0] > b[0] || (a[0] === b[0] && a[1] > b[1]); }
+  function sameValue(a, b) { return JSON.stringify(a) === JSON.stringify(b); }
+  function cloneValue(v) { return v && typeof v === "object" ? JSON.parse(JSON.stringify(v)) : v; }
+  function isPlainObject(v) { return !!v && typeof v === "object" && !Array.isArray(v); }
+
+  function crdtFields(id) {
+    let fields = crdt.objs.get(id);
+    if (!fields) crdt.objs.set(id, fields = new Map());
+    return fields;
+  }
+
+  function crdtText(id, field) {
+    let texts = crdt.texts.get(id);
+    if (!texts) crdt.texts.set(id, texts = new Map());
+    let rga = texts.get(field);
+    if (!rga) texts.set(field, rga = { nodes: new Map(), kids: new Map(), tomb: new Set(), order: null, chars: null });
+    return rga;
+  }
+
+  function crdtValue(id, field) {
+    const r = crdt.objs.get(id)?.get(field);
+    return r && "v" in r ? r.v : undefined;
+  }
+
+  // Apply one operation, local or remote. Registers keep the newest write; text inserts and
+  // deletes commute. Applying an operation twice changes nothing.
+  function applyOp(op) {
+    if (op.k) {
+      seen(op.ts[0]);
+      const fields = crdtFields(op.k[0]);
+      const cur = fields.get(op.k[1]);
+      if (!cur || tsAfter(op.ts, cur.ts)) fields.set(op.k[1], "v" in op ? { v: op.v, ts: op.ts } : { ts: op.ts });
+    } else if (op.t) {
+      const rga = crdtText(op.t[0], op.t[1]);
+      (op.ins || []).forEach(([cid, after, ch]) => rgaInsert(rga, cid, after, ch));
+      (op.del || []).forEach(cid => rgaDelete(rga, cid));
+    }
+  }
+
+  // RGA: each character has an id "counter.client" and the id of the character it was typed after
+  // ("" for the start). Characters typed after the same one are ordered newest first.
+  function rgaInsert(rga, cid, after, ch) {
+    if (rga.nodes.has(cid)) return;
+    const dot = cid.indexOf(".");
+    const node = { id: cid, c: Number(cid.slice(0, dot)), k: cid.slice(dot + 1), ch, del: rga.tomb.has(cid) };
+    seen(node.c);
+    rga.nodes.set(cid, node);
+    let list = rga.kids.get(after);
+    if (!list) rga.kids.set(after, list = []);
+    let i = 0;
+    while (i < list.length && (list[i].c > node.c || (list[i].c === node.c && list[i].k > node.k))) i++;
+    list.splice(i, 0, node);
+    rga.order = rga.chars = null;
+  }
+
+  function rgaDelete(rga, cid) {
+    const node = rga.nodes.get(cid);
+    if (node) node.del = true;
+    else rga.tomb.add(cid); // delete arrived before the insert
+    rga.chars = null;
+  }
+
+  // Every character, deleted ones included, in document order (depth-first over "typed after")
+  function rgaOrder(rga) {
+    if (rga.order) return rga.order;
+    const out = [];
+    const stack = (rga.kids.get("") || []).slice().reverse();
+    while (stack.length) {
+      const node = stack.pop();
+      out.push(node);
+      const kids = rga.kids.get(node.id);
+      if (kids) for (let i = kids.length - 1; i >= 0; i--) stack.push(kids[i]);
+    }
+    rga.order = out;
+    return out;
+  }
+
+  function rgaChars(rga) {
+    if (!rga.chars) rga.chars = rgaOrder(rga).filter(n => !n.del);
+    return rga.chars;
+  }
+
+  function rgaString(rga) {
+    return rgaChars(rga).map(n => n.ch).join("");
+  }
+
+  // Turn a text field into `next`: delete what changed between the common prefix and suffix, insert the rest
+  function textOp(id, field, next) {
+    const chars = rgaChars(crdtText(id, field));
+    const prev = chars.map(n => n.ch).join("");
+    if (prev === next) return null;
+    let p = 0;
+    while (p < prev.length && p < next.length && prev[p] === next[p]) p++;
+    let s = 0;
+    while (s < prev.length - p && s < next.length - p && prev[prev.length - 1 - s] === next[next.length - 1 - s]) s++;
+    const op = { t: [id, field], ins: [], del: chars.slice(p, prev.length - s).map(n => n.id) };
+    let after = p ? chars[p - 1].id : "";
+    for (let i = p; i < next.length - s; i++) {
+      const cid = `${++lamport}.${collabClient}`;
+      op.ins.push([cid, after, next[i]]);
+      after = cid;
+    }
+    return op;
+  }
+
+  // A position strictly between a and b ("" = open end). Never ends in "0", so there is always room below.
+  function posBetween(a, b) {
+    let out = "";
+    for (let i = 0; ; i++) {
+      const lo = i < a.length ? POS_DIGITS.indexOf(a[i]) : 0;
+      const hi = i < b.length ? POS_DIGITS.indexOf(b[i]) : POS_DIGITS.length;
+      if (hi - lo > 1) return out + POS_DIGITS[(lo + hi) >> 1];
+      out += POS_DIGITS[lo];
+      if (hi - lo === 1) b = ""; // anything longer than out is now below b
+    }
+  }
+
+  // The model as registers, texts and lists. Arrays of objects with ids are lists of child objects;
+  // plain objects (appearance, meta, canvas...) are split one level so their fields merge separately.
+  function flattenModel(m) {
+    const regs = new Map(), texts = new Map(), lists = new Map();
+    const visit = (obj, id) => {
+      Object.keys(obj).forEach(prop => {
+        const value = obj[prop];
+        if (value === undefined || (prop === "id" && id !== COLLAB_ROOT)) return;
+        if (Array.isArray(value) && value.every(x => isPlainObject(x) && typeof x.id === "string")) {
+          const list = collabKey(id, prop);
+          regs.set(list, []);
+          lists.set(list, value.map(x => x.id));
+          value.forEach(child => {
+            regs.set(collabKey(child.id, "$parent"), list);
+            visit(child, child.id);
+          });
+        } else if (COLLAB_TEXT_FIELDS.has(prop) && typeof value === "string") {
+          texts.set(collabKey(id, prop), value);
+        } else if (isPlainObject(value)) {
+          regs.set(collabKey(id, prop), {});
+          Object.keys(value).forEach(sub => {
+            if (value[sub] !== undefined) regs.set(collabKey(id, prop + "." + sub), value[sub]);
+          });
+        } else {
+          regs.set(collabKey(id, prop), value);
+        }
+      });
+    };
+    visit(m, COLLAB_ROOT);
+    return { regs, texts, lists };
+  }
+
+  // Build a model from the CRDT (not yet normalised)
+  function materialise() {
+    const nodes = new Map(), kids = new Map();
+    crdt.objs.forEach((fields, id) => {
+      const isRoot = id === COLLAB_ROOT;
+      if (!isRoot && (fields.get("$del")?.v || !("v" in (fields.get("$parent") || {})))) return;
+      const obj = isRoot ? {} : { id };
+      fields.forEach((r, field) => {
+        if (field[0] === "$" || !("v" in r)) return;
+        const dot = field.indexOf(".");
+        if (dot < 0) {
+          if (!(isPlainObject(r.v) && isPlainObject(obj[field]))) obj[field] = cloneValue(r.v);
+          return;
+        }
+        const top = field.slice(0, dot);
+        if (!isPlainObject(obj[top])) obj[top] = {};
+        obj[top][field.slice(dot + 1)] = cloneValue(r.v);
+      });
+      crdt.texts.get(id)?.forEach((rga, field) => { obj[field] = rgaString(rga); });
+      nodes.set(id, obj);
+      if (isRoot) return;
+      const parent = fields.get("$parent").v;
+      if (!kids.has(parent)) kids.set(parent, []);
+      kids.get(parent).push({ id, pos: fields.get("$pos")?.v || "" });
+    });
+    // children in position order (ids break ties); items whose parent is gone go with it
+    kids.forEach((list, key) => {
+      const [parentId, prop] = key.split(COLLAB_SEP);
+      const parent = nodes.get(parentId);
+      if (!parent) return;
+      list.sort((a, b) => (a.pos < b.pos ? -1 : a.pos > b.pos ? 1 : a.id < b.id ? -1 : 1));
+      parent[prop] = list.map(k => nodes.get(k.id));
+    });
+    return nodes.get(COLLAB_ROOT) || null;
+  }
+
+  // Indexes of the longest run of children already in increasing position: those keep their $pos
+  function keptPositions(entries) {
+    const len = [], prev = [];
+    let best = -1;
+    entries.forEach((e, i) => {
+      len[i] = 0;
+      prev[i] = -1;
+      if (e.pos === null) return;
+      len[i] = 1;
+      for (let j = 0; j < i; j++) {
+        if (entries[j].pos !== null && entries[j].pos < e.pos && len[j] + 1 > len[i]) { len[i] = len[j] + 1; prev[i] = j; }
+      }
+      if (best < 0 || len[i] > len[best]) best = i;
+    });
+    const keep = new Set();
+    for (let i = best; i >= 0; i = prev[i]) keep.add(i);
+    return keep;
+  }
+
+  // Write a register locally, recording the change for sending and for undo
+  function writeReg(id, field, value, out) {
+    const before = crdtValue(id, field);
+    if (sameValue(before, value)) return;
+    const op = { k: [id, field], ts: tick() };
+    if (value !== undefined) op.v = cloneValue(value);
+    applyOp(op);
+    out.ops.push(op);
+    out.changes.push({ k: [id, field], before: cloneValue(before) });
+  }
+
+  function writeText(id, field, value, out) {
+    const rga = crdtText(id, field);
+    const op = textOp(id, field, value);
+    if (!op) return;
+    out.changes.push({ t: [id, field], ins: op.ins.map(c => c[0]), del: op.del.map(cid => [cid, rga.nodes.get(cid).ch]) });
+    applyOp(op);
+    out.ops.push(op);
+  }
+
+  // Take back one person's typing: delete the characters they inserted and put back the ones they
+  // deleted, next to whatever is still there. Other people's characters in the same text stay.
+  function revertText(id, field, change, out) {
+    const rga = crdtText(id, field);
+    const own = new Set(change.ins);
+    const removing = new Set(change.ins.filter(cid => rga.nodes.has(cid) && !rga.nodes.get(cid).del));
+    const wanted = new Map(change.del.filter(([cid]) => !own.has(cid)));
+    const restored = new Map(); // deleted id -> id of its replacement
+    const op = { t: [id, field], ins: [], del: [...removing] };
+    const order = rgaOrder(rga);
+    order.forEach((node, i) => {
+      if (!wanted.has(node.id)) return;
+      let after = "";
+      for (let j = i - 1; j >= 0; j--) {
+        const prev = order[j];
+        if (restored.has(prev.id)) { after = restored.get(prev.id); break; }
+        if (!prev.del && !removing.has(prev.id)) { after = prev.id; break; }
+      }
+      const cid = `${++lamport}.${collabClient}`;
+      restored.set(node.id, cid);
+      op.ins.push([cid, after, wanted.get(node.id)]);
+    });
+    if (!op.ins.length && !op.del.length) return;
+    out.changes.push({ t: [id, field], ins: op.ins.map(c => c[0]), del: op.del.map(cid => [cid, rga.nodes.get(cid).ch]) });
+    applyOp(op);
+    out.ops.push(op);
+  }
+
+  // Diff the model against the CRDT and apply the difference as local operations
+  function diffIntoCrdt(m) {
+    const flat = flattenModel(m);
+    const out = { ops: [], changes: [] };
+    const inModel = new Set([COLLAB_ROOT]);
+    flat.regs.forEach((v, key) => {
+      const [id, field] = key.split(COLLAB_SEP);
+      if (field === "$parent") inModel.add(id);
+    });
+
+    // order within lists, worked out before any $parent changes land
+    const positions = [];
+    flat.lists.forEach((ids, list) => {
+      const entries = ids.map(id => ({
+        id,
+        pos: crdtValue(id, "$parent") === list && !crdtValue(id, "$del") ? crdtValue(id, "$pos") ?? null : null
+      }));
+      const keep = keptPositions(entries);
+      let prev = "";
+      entries.forEach((e, i) => {
+        if (keep.has(i)) { prev = e.pos; return; }
+        let next = "";
+        for (let j = i + 1; j < entries.length; j++) if (keep.has(j)) { next = entries[j].pos; break; }
+        prev = posBetween(prev, next);
+        positions.push([e.id, prev]);
+      });
+    });
+
+    // deleted objects, then everything the model has
+    crdt.objs.forEach((fields, id) => {
+      if (id !== COLLAB_ROOT && !inModel.has(id) && "v" in (fields.get("$parent") || {}) && !fields.get("$del")?.v) {
+        writeReg(id, "$del", true, out);
+      }
+    });
+    inModel.forEach(id => { if (crdtValue(id, "$del")) writeReg(id, "$del", false, out); });
+    flat.regs.forEach((v, key) => {
+      const [id, field] = key.split(COLLAB_SEP);
+      writeReg(id, field, v, out);
+    });
+    positions.forEach(([id, pos]) => writeReg(id, "$pos", pos, out));
+
+    // fields that were removed from live objects
+    inModel.forEach(id => {
+      crdt.objs.get(id)?.forEach((r, field) => {
+        if (field[0] !== "$" && "v" in r && !flat.regs.has(collabKey(id, field))) writeReg(id, field, undefined, out);
+      });
+      crdt.texts.get(id)?.forEach((rga, field) => {
+        if (!flat.texts.has(collabKey(id, field))) writeText(id, field, "", out);
+      });
+    });
+    flat.texts.forEach((value, key) => {
+      const [id, field] = key.split(COLLAB_SEP);
+      writeText(id, field, value, out);
+    });
+    return out;
+  }
+
+  // The whole CRDT as operations: seeds an empty room and catches the server up after a reconnect
+  function crdtOps() {
+    const ops = [];
+    crdt.objs.forEach((fields, id) => fields.forEach((r, field) => {
+      ops.push("v" in r ? { k: [id, field], ts: r.ts, v: r.v } : { k: [id, field], ts: r.ts });
+    }));
+    crdt.texts.forEach((texts, id) => texts.forEach((rga, field) => {
+      const ins = [], del = [];
+      rga.kids.forEach((list, after) => list.forEach(n => {
+        ins.push([n.id, after, n.ch]);
+        if (n.del) del.push(n.id);
+      }));
+      ops.push({ t: [id, field], ins, del });
+    }));
+    return ops;
+  }
+
+  // -- Local and remote edits --
+  // Called from modelChanged while collaborating
+  function collabLocalChange(coalesceKey) {
+    const out = diffIntoCrdt(model);
+    if (!out.ops.length) return;
+    sendCollab({ type: "ops", ops: out.ops });
+
+    const now = Date.now();
+    const top = collabUndoStack[collabUndoStack.length - 1];
+    if (top && coalesceKey && coalesceKey === top.key && now - top.at < COALESCE_MS) {
+      // typing: fold into the previous step, keeping its "before" values
+      out.changes.forEach(c => {
+        const same = top.changes.find(t => !!t.k === !!c.k && sameValue(t.k || t.t, c.k || c.t));
+        if (!same) top.changes.push(c);
+        else if (c.t) { same.ins.push(...c.ins); same.del.push(...c.del); }
+      });
+      top.at = now;
+    } else {
+      collabUndoStack.push({ key: coalesceKey || null, at: now, changes: out.changes });
+      if (collabUndoStack.length > HISTORY_LIMIT) collabUndoStack.shift();
+    }
+    collabRedoStack = [];
+    updateHistoryButtons();
+  }
+
+  // Undo/redo while collaborating: write back only what this person changed, leaving others' edits
+  // alone. Each step records the values it replaced, so undoing one pushes its exact inverse.
+  function collabHistoryStep(from, to) {
+    const step = from.pop();
+    if (!step) return false;
+    const out = { ops: [], changes: [] };
+    step.changes.slice().reverse().forEach(c => {
+      if (c.k) writeReg(c.k[0], c.k[1], c.before, out);
+      else revertText(c.t[0], c.t[1], c, out);
+    });
+    to.push({ key: null, at: 0, changes: out.changes });
+    if (out.ops.length) sendCollab({ type: "ops", ops: out.ops });
+    showCollabModel();
+    scheduleAutosave();
+    updateHistoryButtons();
+    return true;
+  }
+
+  function queueRemoteOps(ops) {
+    collabInbox.push(...ops);
+    if (collabInboxQueued) return;
+    collabInboxQueued = true;
+    requestAnimationFrame(() => {
+      collabInboxQueued = false;
+      const ops = collabInbox;
+      collabInbox = [];
+      if (!crdt || !ops.length) return;
+      ops.forEach(applyOp);
+      showCollabModel();
+      scheduleAutosave();
+    });
+  }
+
+  // Replace the model with the CRDT's, keeping the selection and the caret of whoever is typing
+  function showCollabModel() {
+    const next = materialise();
+    if (!next) return;
+    const caret = captureCaret();
+    model = normalizeModel(next);
+    const cat = model.categories.find(c => c.id === selected.catId);
+    if (!cat || !cat.blocks.some(b => b.id === selected.blockId)) selected = { catId: null, blockId: null };
+    syncControlsFromModel();
+    renderAll();
+    restoreCaret(caret);
+  }
+
+  // The text field an element edits, as [object id, field]
+  function textFieldOf(el) {
+    if (!el?.closest) return null;
+    if (el === effectTextEl) return [COLLAB_ROOT, "effectText"];
+    if (el.classList.contains("catLabel")) return [el.dataset.catId, "label"];
+    if (el.classList.contains("titleText")) return [el.closest(".block")?.dataset.blockId, "title"];
+    if (el.classList.contains("bulletText")) return [el.closest("li")?.dataset.bulletId, "text"];
+    return null;
+  }
+
+  function textFieldElement([id, field]) {
+    if (field === "effectText") return effectTextEl;
+    if (field === "label") return labelsLayer.querySelector(`.catLabel[data-cat-id="${cssEscape(id)}"]`);
+    if (field === "title") return blockElement(id)?.querySelector(".titleText");
+    return blocksLayer.querySelector(`li[data-bullet-id="${cssEscape(id)}"] > .bulletText`);
+  }
+
+  // Remember the caret by the ids of the characters before it, so it stays put when others type
+  function captureCaret() {
+    const el = document.activeElement;
+    const target = textFieldOf(el);
+    const sel = window.getSelection();
+    if (!target || !target[0] || !sel?.rangeCount) return null;
+    const range = sel.getRangeAt(0);
+    const pre = document.createRange();
+    pre.selectNodeContents(el);
+    pre.setEnd(range.endContainer, range.endOffset);
+    const chars = rgaChars(crdtText(target[0], target[1]));
+    return { target, before: chars.slice(0, pre.toString().length).map(n => n.id) };
+  }
+
+  function restoreCaret(caret) {
+    if (!caret) return;
+    const el = textFieldElement(caret.target);
+    if (!el) return;
+    const chars = rgaChars(crdtText(caret.target[0], caret.target[1]));
+    let offset = 0;
+    for (let i = caret.before.length - 1; i >= 0; i--) {
+      const at = chars.findIndex(n => n.id === caret.before[i]);
+      if (at >= 0) { offset = at + 1; break; }
+    }
+    el.focus();
+    const node = el.firstChild;
+    const range = document.createRange();
+    if (node && node.nodeType === Node.TEXT_NODE) range.setStart(node, Math.min(offset, node.length));
+    else range.setStart(el, 0);
+    range.collapse(true);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+
+  // -- Connection --
+  function defaultCollabServer() {
+    const saved = storageGet(COLLAB_SERVER_KEY);
+    if (saved) return saved;
+    if (/^https?:$/.test(location.protocol)) return (location.protocol === "https:" ? "wss://" : "ws://") + location.host;
+    return "ws://localhost:8787";
+  }
+
+  function sendCollab(msg) {
+    if (collabSocket?.readyState !== WebSocket.OPEN) return;
+    const data = JSON.stringify(msg);
+    // the relay closes the connection on anything bigger, and reconnecting would only send it again
+    if (new Blob([data]).size > COLLAB_MAX_MESSAGE) {
+      leaveCollab(true);
+      alert("This diagram is too large to share live, most likely because of embedded evidence files. Replace some of them with links and join again.");
+      return;
+    }
+    collabSocket.send(data);
+  }
+
+  function joinCollab(server, room, name) {
+    if (!("WebSocket" in window)) { alert("This browser can't collaborate live (no WebSocket support)."); return; }
+    leaveCollab(true);
+    storageSet(COLLAB_SERVER_KEY, server);
+    storageSet(COLLAB_NAME_KEY, name);
+    collabSession = { server, room, name, docId: currentDocId, joined: false };
+    connectCollab();
+    renderCollabStatus();
+  }
+
+  function connectCollab() {
+    const session = collabSession;
+    let socket;
+    try {
+      socket = new WebSocket(session.server.replace(/\/+$/, "") + COLLAB_PATH + encodeURIComponent(session.room));
+    } catch (e) {
+      alert("That server address doesn't look right. It should start with ws:// or wss://.");
+      leaveCollab();
+      return;
+    }
+    collabSocket = socket;
+    socket.addEventListener("open", () => {
+      collabRetry = 0;
+      socket.send(JSON.stringify({ type: "hello", client: collabClient, name: session.name, color: collabColor }));
+    });
+    socket.addEventListener("message", (e) => {
+      let msg;
+      try { msg = JSON.parse(e.data); } catch (err) { return; }
+      onCollabMessage(msg);
+    });
+    socket.addEventListener("close", () => {
+      if (collabSocket !== socket) return; // left on purpose, or replaced
+      collabSocket = null;
+      peers.clear();
+      drawPresence();
+      if (!collabSession) return;
+      // keep editing offline; everything is sent again on reconnect
+      collabRetryTimer = setTimeout(connectCollab, Math.min(10000, 1000 * 2 ** collabRetry++));
+      renderCollabStatus();
+    });
+  }
+
+  function onCollabMessage(msg) {
+    if (msg.type === "welcome") {
+      onCollabWelcome(msg);
+    } else if (msg.type === "ops" && Array.isArray(msg.ops)) {
+      queueRemoteOps(msg.ops);
+    } else if (msg.type === "presence" && msg.client) {
+      peers.set(msg.client, { name: msg.name || "Someone", color: msg.color || "#555", blockId: msg.blockId || null });
+      drawPresence();
+      renderCollabStatus();
+    } else if (msg.type === "leave") {
+      peers.delete(msg.client);
+      drawPresence();
+      renderCollabStatus();
+    }
+  }
+
+  function onCollabWelcome(msg) {
+    const session = collabSession;
+    peers.clear();
+    (msg.peers || []).forEach(p => peers.set(p.client, { name: p.name || "Someone", color: p.color || "#555", blockId: p.blockId || null }));
+
+    if (!session.joined) {
+      session.joined = true;
+      crdt = { objs: new Map(), texts: new Map() };
+      (msg.ops || []).forEach(applyOp);
+      if (!msg.ops?.length) {
+        // an empty room starts from the diagram on screen
+        diffIntoCrdt(model);
+        linkDocToRoom(currentDocId, session);
+        announce(`Sharing this diagram in room ${session.room}.`);
+      } else {
+        // the room's diagram opens as its own entry in My diagrams, so nothing local is overwritten
+        const docId = sharedDocFor(session) || uid();
+        saveNow();
+        writeDoc(docId, normalizeModel(materialise()), `${session.room} (shared)`);
+        linkDocToRoom(docId, session);
+        session.docId = docId;
+        setCurrentDoc(docId);
+        selected = { catId: null, blockId: null };
+        showCollabModel();
+        announce(`Joined room ${session.room}.`);
+      }
+      session.docId = currentDocId;
+      collabUndoStack = [];
+      collabRedoStack = [];
+      updateHistoryButtons();
+    } else {
+      (msg.ops || []).forEach(applyOp);
+      showCollabModel();
+    }
+    // the server merges duplicates, so simply send everything: covers edits made while offline
+    sendCollab({ type: "ops", ops: crdtOps() });
+    lastSentBlockId = undefined;
+    sendPresence();
+    drawPresence();
+    renderCollabStatus();
+  }
+
+  function leaveCollab(quiet) {
+    clearTimeout(collabRetryTimer);
+    if (!collabSession) return;
+    const socket = collabSocket;
+    collabSocket = null;
+    collabSession = null;
+    crdt = null;
+    collabInbox = [];
+    peers.clear();
+    socket?.close();
+    drawPresence();
+    resetHistory(); // snapshots can hold other people's edits; start afresh
+    renderCollabStatus();
+    if (!quiet) announce("Left the live session. Changes stay in this browser only.");
+  }
+
+  // Library entries remember the room they belong to, so rejoining reopens the same entry
+  function linkDocToRoom(docId, session) {
+    const list = readLibrary();
+    const entry = list.find(d => d.id === docId);
+    if (!entry) return;
+    entry.shared = { server: session.server, room: session.room };
+    writeLibrary(list);
+  }
+
+  function sharedDocFor(session) {
+    return readLibrary().find(d => d.shared?.server === session.server && d.shared?.room === session.room)?.id || null;
+  }
+
+  // -- Presence --
+  function sendPresence() {
+    if (!collabSession || selected.blockId === lastSentBlockId) return;
+    lastSentBlockId = selected.blockId;
+    sendCollab({ type: "presence", blockId: selected.blockId });
+  }
+
+  // Outline each heading someone else has selected, with their name
+  function drawPresence() {
+    presenceLayer.innerHTML = "";
+    const stacked = new Map(); // blockId -> tags drawn so far
+    peers.forEach(peer => {
+      const el = peer.blockId && blockElement(peer.blockId);
+      if (!el) return;
+      const r = rectInCanvas(el);
+      const n = stacked.get(peer.blockId) || 0;
+      stacked.set(peer.blockId, n + 1);
+      const box = document.createElement("div");
+      box.className = "presenceBox";
+      box.style.left = `${r.left - 4 - 3 * n}px`;
+      box.style.top = `${r.top - 4 - 3 * n}px`;
+      box.style.width = `${r.width + 8 + 6 * n}px`;
+      box.style.height = `${r.height + 8 + 6 * n}px`;
+      box.style.borderColor = peer.color;
+      const tag = document.createElement("span");
+      tag.className = "presenceTag";
+      tag.textContent = peer.name;
+      tag.style.background = peer.color;
+      tag.style.left = `${n * 70}px`;
+      box.appendChild(tag);
+      presenceLayer.appendChild(box);
+    });
+  }
+
+  // -- Dialog --
+  function renderCollabStatus() {
+    const status = $("collabStatus");
+    const list = $("collabPeers");
+    list.innerHTML = "";
+    btnCollab.classList.toggle("is-live", !!collabSession);
+    $("collabJoin").textContent = collabSession ? "Join another room" : "Join";
+    $("collabLeave").disabled = !collabSession;
+    $("collabCopyLink").disabled = !collabSession;
+    if (!collabSession) {
+      btnCollab.textContent = "Collaborate";
+      status.textContent = "Not connected. Edits stay in this browser.";
+      return;
+    }
+    const online = collabSocket?.readyState === WebSocket.OPEN && collabSession.joined;
+    btnCollab.textContent = online ? `Live · ${peers.size + 1}` : "Live · reconnecting…";
+    status.textContent = online
+      ? `Connected to room "${collabSession.room}". ${peers.size ? `${peers.size + 1} people here.` : "Nobody else here yet."}`
+      : `Connecting to "${collabSession.room}"… Edits are kept and sent when the connection is back.`;
+    [{ name: `${collabSession.name} (you)`, color: collabColor }, ...peers.values()].forEach(p => {
+      const li = document.createElement("li");
+      const dot = document.createElement("span");
+      dot.className = "presenceDot";
+      dot.style.background = p.color;
+      li.appendChild(dot);
+      li.appendChild(document.createTextNode(p.name));
+      list.appendChild(li);
+    });
+  }
+
+  function collabInviteLink() {
+    const url = new URL(location.href);
+    url.hash = "";
+    url.searchParams.set("room", collabSession.room);
+    url.searchParams.set("server", collabSession.server);
+    return url.toString();
+  }
+
+  function openCollab() {
+    $("collabServer").value = collabSession?.server || defaultCollabServer();
+    $("collabRoom").value = collabSession?.room || $("collabRoom").value || autoName(model).replace(/[^\w -]+/g, "").slice(0, 40).trim() || "fishbone";
+    $("collabName").value = collabSession?.name || storageGet(COLLAB_NAME_KEY) || "";
+    renderCollabStatus();
+    openModal(collabOverlay);
+    (!$("collabName").value ? $("collabName") : $("collabRoom")).focus();
+  }
+
+  btnCollab.addEventListener("click", openCollab);
+  wireModal(collabOverlay, $("collabClose"));
+
+  $("collabForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const server = $("collabServer").value.trim();
+    const room = $("collabRoom").value.trim();
+    const name = $("collabName").value.trim() || "Guest";
+    if (!/^wss?:\/\//i.test(server)) { alert("The server address should start with ws:// (or wss:// for a secure server)."); return; }
+    if (!room) { alert("Give the room a name: everyone who enters the same name edits the same diagram."); return; }
+    joinCollab(server, room, name);
+  });
+  $("collabLeave").addEventListener("click", () => leaveCollab());
+  $("collabCopyLink").addEventListener("click", async () => {
+    const link = collabInviteLink();
+    try {
+      await navigator.clipboard.writeText(link);
+      announce("Invite link copied.");
+    } catch (e) {
+      window.prompt("Copy this link and send it to the others:", link);
+    }
+  });
+
+  // Invite links (?room=...&server=...) open the dialog ready to join
+  function openCollabFromLink() {
+    const params = new URLSearchParams(location.search);
+    if (!params.get("room")) return;
+    if (params.get("server")) storageSet(COLLAB_SERVER_KEY, params.get("server"));
+    $("collabRoom").value = params.get("room");
+    openCollab();
+  }
+
+  // ---------------- Templates ----------------
+  // User-saved category sets live next to the diagram library in localStorage.
+  const CUSTOM_TEMPLATES_KEY = "fishbone.templates";
+
+  const templateOverlay = $("templateOverlay");
+  const templateList = $("templateList");
+  let templateMode = "new"; // "new" creates a library entry, "reset" replaces the open diagram
+
+  function readCustomTemplates() {
+    try {
+      const list = JSON.parse(storageGet(CUSTOM_TEMPLATES_KEY) || "[]");
+      return Array.isArray(list) ? list.filter(t => t && t.id && Array.isArray(t.categories)) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeCustomTemplates(list) {
+    storageSet(CUSTOM_TEMPLATES_KEY, JSON.stringify(list));
+  }
+
+  function openTemplatePicker(mode) {
+    templateMode = mode;
+    $("templateTitle").textContent = mode === "reset" ? "Reset this diagram" : "New diagram";
+    $("templateIntro").textContent = mode === "reset"
+      ? "Choose the categories to start this diagram again with. You can undo a reset."
+      : "Choose a set of categories to start from. You can add, remove and rename categories later.";
+    renderTemplates();
+    openModal(templateOverlay);
+  }
+
+  function renderTemplates() {
+    templateList.innerHTML = "";
+    const custom = readCustomTemplates();
+
+    BUILTIN_TEMPLATES.concat(custom).forEach(tpl => {
+      const isCustom = custom.includes(tpl);
+      const card = document.createElement("li");
+      card.className = "templateCard";
+
+      const pick = document.createElement("button");
+      pick.type = "button";
+      pick.className = "templatePick";
+      const name = document.createElement("strong");
+      name.textContent = tpl.name;
+      const desc = document.createElement("span");
+      desc.textContent = tpl.description || (isCustom ? "Saved custom set." : "");
+      const cats = document.createElement("span");
+      cats.className = "templateCats";
+      cats.textContent = tpl.categories.map(c => c.label).join(" · ");
+      pick.appendChild(name);
+      pick.appendChild(desc);
+      pick.appendChild(cats);
+      pick.addEventListener("click", () => applyTemplate(tpl));
+      card.appendChild(pick);
+
+      if (isCustom) {
+        const del = document.createElement("button");
+        del.type = "button";
+        del.className = "templateDel";
+        del.textContent = "✕";
+        del.title = "Delete this custom template";
+        del.addEventListener("click", () => {
+          if (!window.confirm(`Delete the "${tpl.name}" template?`)) return;
+          writeCustomTemplates(readCustomTemplates().filter(t => t.id !== tpl.id));
+          renderTemplates();
+        });
+        card.appendChild(del);
+      }
+
+      templateList.appendChild(card);
+    });
+  }
+
+  function applyTemplate(tpl) {
+    if (templateMode === "reset") {
+      const ok = window.confirm(`Replace the current diagram with a fresh "${tpl.name}" diagram?`);
+      if (!ok) return;
+      closeModal(templateOverlay);
+      loadModel(defaultModel(tpl));
+      modelChanged();
+    } else {
+      closeModal(templateOverlay);
+      createDoc(defaultModel(tpl));
+    }
+  }
+
+  // Saves the open diagram's categories (and their heading titles) as a reusable set
+  function saveCurrentAsTemplate() {
+    const name = window.prompt("Name for this template", "My categories");
+    if (name === null || !name.trim()) return;
+    const tpl = {
+      id: uid(),
+      name: name.trim(),
+      categories: model.categories.map(c => ({
+        side: c.side,
+        label: c.label,
+        headings: c.blocks.map(b => b.title).filter(Boolean)
+      }))
+    };
+    writeCustomTemplates(readCustomTemplates().concat(tpl));
+    renderTemplates();
+  }
+
+  wireModal(templateOverlay, $("templateClose"));
+  $("btnSaveTemplate").addEventListener("click", saveCurrentAsTemplate);
+
+  // ---------------- Export / import ----------------
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // The saved format: Export JSON writes it indented, share links compact
+  function modelJson(space) {
+    return JSON.stringify(model, null, space);
+  }
+
+  $("btnExportJSON").addEventListener("click", () => {
+    const blob = new Blob([modelJson(2)], { type: "application/json;charset=utf-8" });
+    downloadBlob(blob, "fishbone-model.json");
+  });
+
+  $("fileImportJSON").addEventListener("change", (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = String(reader.result || "");
+      let obj;
+      try {
+        obj = JSON.parse(text);
+      } catch (err) {
+        console.error(err);
+        alert(`"${file.name}" is not valid JSON.\n\n${describeJsonError(err, text)}`);
+        return;
+      }
+
+      const problem = checkModelShape(obj);
+      if (problem) {
+        alert(`"${file.name}" does not look like a fishbone diagram: ${problem}`);
+        return;
+      }
+
+      // Imports land in the library as a new diagram rather than overwriting the open one
+      const report = makeImportReport();
+      createDoc(normalizeModel(obj, report), file.name.replace(/\.json$/i, ""));
+      showImportReport(file.name, report);
+    };
+    reader.readAsText(file, "utf-8");
+  });
+
+  // "Unexpected token } in JSON at position 120" -> adds line and column
+  function describeJsonError(err, text) {
+    const m = String(err.message).match(/position (\d+)/);
+    if (!m) return err.message;
+    const before = text.slice(0, Number(m[1]));
+    const line = before.split("\n").length;
+    const col = before.length - before.lastIndexOf("\n");
+    return `${err.message} (line ${line}, column ${col})`;
+  }
+
+  // Reject files that are valid JSON but clearly something else
+  function checkModelShape(obj) {
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) return "the top level must be an object.";
+    if (!("categories" in obj) && !("effectText" in obj)) return "it has neither \"categories\" nor \"effectText\".";
+    if ("categories" in obj && !Array.isArray(obj.categories)) return "\"categories\" must be a list.";
+    return "";
+  }
+
+  // ---------------- Share links ----------------
+  // "Copy share link" puts the whole diagram (the Export JSON text) in the URL hash, deflated and
+  // base64url-encoded, so it needs no server. Opening such a link shows the diagram read-only
+  // without touching the library until "Make an editable copy" is clicked.
+  const SHARE_PREFIX = "#share=";
+  const SHARE_WARN_LENGTH = 100000; // some chat and mail apps cut off longer links
+  let sharedView = false;
+
+  function toBase64Url(bytes) {
+    let bin = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function fromBase64Url(text) {
+    const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(bin, c => c.charCodeAt(0));
+  }
+
+  // "z" + deflated JSON where the browser can compress, "j" + plain JSON otherwise
+  async function encodeShare(json) {
+    const bytes = new TextEncoder().encode(json);
+    if (typeof CompressionStream !== "function") return "j" + toBase64Url(bytes);
+    const packed = await new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"))).arrayBuffer();
+    return "z" + toBase64Url(new Uint8Array(packed));
+  }
+
+  async function decodeShare(text) {
+    const bytes = fromBase64Url(text.slice(1));
+    if (text[0] === "j") return new TextDecoder().decode(bytes);
+    if (text[0] !== "z") throw new Error(`unknown share format "${text[0]}"`);
+    if (typeof DecompressionStream !== "function") throw new Error("this browser cannot decompress share links");
+    return new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"))).text();
+  }
+
+  async function copyShareLink() {
+    const link = location.href.split("#")[0] + SHARE_PREFIX + await encodeShare(modelJson());
+    if (link.length > SHARE_WARN_LENGTH &&
+        !window.confirm(`This link is ${Math.round(link.length / 1024)} KB long, mostly embedded evidence files. Some apps cut off links that long. Copy it anyway?`)) return;
+    try {
+      await navigator.clipboard.writeText(link);
+      announce("Share link copied. Anyone who opens it sees a read-only copy of this diagram.");
+    } catch (e) {
+      window.prompt("Copy this link to share a read-only copy of the diagram:", link);
+    }
+  }
+
+  async function openShareLink() {
+    if (!location.hash.startsWith(SHARE_PREFIX)) return;
+    let obj;
+    try {
+      obj = JSON.parse(await decodeShare(decodeURIComponent(location.hash.slice(SHARE_PREFIX.length))));
+    } catch (err) {
+      console.error(err);
+      alert("This share link is incomplete or damaged, so the diagram could not be opened. Ask for the link again; some apps cut off long links.");
+      return;
+    }
+    const problem = checkModelShape(obj);
+    if (problem) {
+      alert(`This share link does not contain a fishbone diagram: ${problem}`);
+      return;
+    }
+    saveNow();
+    leaveCollab(); // the shared copy is not part of any live room, so remote edits must not reach it
+    currentDocId = null; // nothing is saved while viewing; the stored "last diagram" stays as it was
+    sharedView = true;
+    document.body.classList.add("export-clean", "read-only");
+    $("sharedBanner").hidden = false;
+    loadModel(normalizeModel(obj));
+    resetHistory();
+    announce(`Viewing a shared diagram, read-only: ${autoName(model)}.`);
+  }
+
+  function makeEditableCopy() {
+    sharedView = false;
+    document.body.classList.remove("export-clean", "read-only");
+    $("sharedBanner").hidden = true;
+    history.replaceState(null, "", location.pathname + location.search);
+    effectTextEl.setAttribute("contenteditable", "true");
+    createDoc(normalizeModel(model), "Copy of " + autoName(model));
+    announce("Saved an editable copy in My diagrams.");
+  }
+
+  $("btnShareLink").addEventListener("click", () => {
+    copyShareLink().catch(err => {
+      console.error(err);
+      alert("Could not create the share link.");
+    });
+  });
+  $("btnEditableCopy").addEventListener("click", makeEditableCopy);
+  window.addEventListener("hashchange", openShareLink);
+
+  const importReportOverlay = $("importReportOverlay");
+
+  // Lists what the import upgraded, repaired, dropped or kept as-is; silent when nothing changed
+  function showImportReport(name, report) {
+    const sections = [
+      ["Upgraded", report.migrated],
+      ["Fixed", report.fixed],
+      ["Dropped", report.dropped],
+      ["Kept (fields this version does not use)", report.kept]
+    ].filter(([, items]) => items.length);
+    if (!sections.length) return;
+
+    $("importReportSummary").textContent = `"${name}" was imported. ` +
+      (report.fixed.length || report.dropped.length
+        ? `${report.fixed.length} value(s) were repaired and ${report.dropped.length} entr${report.dropped.length === 1 ? "y was" : "ies were"} dropped.`
+        : "Nothing was lost.");
+    const body = $("importReportBody");
+    body.innerHTML = "";
+    sections.forEach(([title, items]) => {
+      const h = document.createElement("h3");
+      h.textContent = `${title} (${items.length})`;
+      const ul = document.createElement("ul");
+      items.forEach(text => {
+        const li = document.createElement("li");
+        li.textContent = text;
+        ul.appendChild(li);
+      });
+      body.appendChild(h);
+      body.appendChild(ul);
+    });
+    openModal(importReportOverlay);
+  }
+
+  wireModal(importReportOverlay, $("importReportClose"));
+
+  // ---------------- Markdown / outline import & export ----------------
+  //   # Effect            -> effectText
+  //   ## Category         -> category (first half top, second half bottom)
+  //   ### Heading         -> heading; or a top-level "- item" directly under a category
+  //   - cause / nested    -> bullets and sub-causes
+  // Plain indented text (no #) works too: top-level lines are categories, then headings,
+  // then causes; a single top-level line with children is taken as the effect.
+  const OUTLINE_BULLET = /^([-*+]|\d+[.)])(\s+|$)/; // a bare "-" is a bullet with no text
+
+  function outlineAnnotation(item) {
+    const bits = [];
+    if (item.votes) bits.push(item.votes === 1 ? "1 vote" : `${item.votes} votes`);
+    if (item.rootCause) bits.push("root cause");
+    if (item.verification === "verified") bits.push("verified");
+    if (item.verification === "ruled-out") bits.push("ruled out");
+    return bits.length ? ` _(${bits.join(", ")})_` : "";
+  }
+
+  // "Night shift gaps _(3 votes, root cause)_" -> text + cause meta
+  function parseOutlineText(raw) {
+    const meta = {};
+    const text = raw.replace(/(?:^|\s+)_\(([^)]*)\)_\s*$/, (m, inner) => {
+      inner.split(",").map(x => x.trim().toLowerCase()).forEach(bit => {
+        const v = bit.match(/^(\d+)\s+votes?$/);
+        if (v) meta.votes = Number(v[1]);
+        else if (bit === "root cause") meta.rootCause = true;
+        else if (bit === "verified") meta.verification = "verified";
+        else if (bit === "ruled out") meta.verification = "ruled-out";
+      });
+      return "";
+    }).trim();
+    return { text, meta };
+  }
+
+  function modelToMarkdown(m) {
+    const out = [`# ${m.effectText || "Problem"}`, ""];
+    m.categories.forEach(cat => {
+      out.push(`## ${cat.label}`, "");
+      cat.blocks.forEach(block => {
+        const bullets = [];
+        const walk = (list, depth) => list.forEach(b => {
+          if (b.text || b.children.length) bullets.push(`${"  ".repeat(depth)}- ${b.text}${outlineAnnotation(b)}`);
+          walk(b.children, depth + 1);
+        });
+        walk(block.bullets || [], 0);
+        if (!block.title && !bullets.length) return;
+        out.push(`### ${block.title || "Untitled heading"}${outlineAnnotation(block)}`);
+        out.push(...bullets, "");
+      });
+    });
+    return out.join("\n").replace(/\n{3,}/g, "\n\n").trim() + "\n";
+  }
+
+  function outlineToModel(text) {
+    const lines = String(text || "").replace(/\t/g, "    ").split(/\r?\n/)
+      .filter(l => l.trim())
+      .map(l => {
+        const indent = l.match(/^ */)[0].length;
+        const body = l.trim();
+        const h = body.match(/^(#{1,6})\s+(.*)$/);
+        if (h) return { kind: "h", level: h[1].length, text: h[2].trim(), indent };
+        const b = body.match(OUTLINE_BULLET);
+        return { kind: b ? "bullet" : "text", text: b ? body.slice(b[0].length).trim() : body, indent };
+      });
+    if (!lines.length) throw new Error("The outline is empty.");
+
+    // indentation -> depth, tolerant of 2- or 4-space (or mixed) indents
+    const stack = [];
+    lines.forEach(l => {
+      if (l.kind === "h") { stack.length = 0; return; }
+      while (stack.length && stack[stack.length - 1] > l.indent) stack.pop();
+      if (!stack.length || stack[stack.length - 1] < l.indent) stack.push(l.indent);
+      l.depth = stack.length - 1;
+    });
+
+    const obj = { effectText: "", categories: [] };
+    const hasHeadings = lines.some(l => l.kind === "h");
+    let cat = null, block = null;
+    let bulletStack = []; // bulletStack[d] = children list at depth d
+
+    const newCategory = (label) => {
+      cat = { label: label || "Category", blocks: [] };
+      obj.categories.push(cat);
+      block = null;
+    };
+    const newBlock = (raw) => {
+      if (!cat) newCategory("Causes");
+      const { text: title, meta } = parseOutlineText(raw);
+      block = { title, bullets: [], ...meta };
+      cat.blocks.push(block);
+      bulletStack = [block.bullets];
+    };
+    const pushBullet = (raw, depth) => {
+      if (!block) newBlock("");
+      const { text: t, meta } = parseOutlineText(raw);
+      const d = clamp(depth, 0, bulletStack.length - 1);
+      const bullet = { text: t, children: [], ...meta };
+      bulletStack[d].push(bullet);
+      bulletStack.length = d + 1;
+      bulletStack.push(bullet.children);
+    };
+
+    if (hasHeadings) {
+      let headingUnderCat = false; // "### Heading" seen in this category
+      let baseDepth = 0;
+      lines.forEach(l => {
+        if (l.kind === "h") {
+          if (l.level === 1) obj.effectText = l.text;
+          else if (l.level === 2) { newCategory(l.text); headingUnderCat = false; }
+          else { newBlock(l.text); headingUnderCat = true; }
+          return;
+        }
+        if (!headingUnderCat && l.depth === 0) { newBlock(l.text); baseDepth = 1; return; }
+        pushBullet(l.text, l.depth - (headingUnderCat ? 0 : baseDepth));
+      });
+    } else {
+      const tops = lines.filter(l => l.depth === 0);
+      let shift = 0;
+      if (tops.length === 1 && lines.length > 1) {
+        obj.effectText = tops[0].text;
+        shift = 1;
+      }
+      lines.forEach(l => {
+        const d = l.depth - shift;
+        if (d < 0) return;
+        if (d === 0) newCategory(l.text);
+        else if (d === 1) newBlock(l.text);
+        else pushBullet(l.text, d - 2);
+      });
+    }
 
-  document.addEventListener("pointermove", onDragMove);
-  document.addEventListener("pointerup", onDragEnd, { once: true });
-  document.addEventListener("pointercancel", onDragEnd, { once: true });
-}
+    if (!obj.categories.length) throw new Error("No categories found. Use ## for categories or indent causes under category lines.");
 
+    // spread headings along each bone, and give every heading at least one bullet like the editor does
+    obj.categories.forEach(c => {
+      c.blocks.forEach((b, k) => {
+        b.t = 0.15 + (k + 0.5) * (0.7 / c.blocks.length);
+        if (!b.bullets.length) b.bullets.push({ text: "", children: [] });
+      });
+    });
+    return obj;
+  }
 
+  const outlineOverlay = $("outlineOverlay");
+  const outlineText = $("outlineText");
 
-  function onDragMove(e) {
-    if (!drag) return;
-    const cat = model.categories.find(c => c.id === drag.catId);
-    const block = cat?.blocks.find(b => b.id === drag.blockId);
-    const bone = catBones.get(drag.catId);
-    if (!cat || !block || !bone) return;
+  $("btnOutline").addEventListener("click", () => {
+    outlineText.value = modelToMarkdown(model);
+    openModal(outlineOverlay);
+  });
+  wireModal(outlineOverlay, $("outlineClose"));
+
+  $("btnOutlineCopy").addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(outlineText.value);
+    } catch (e) {
+      outlineText.select();
+      document.execCommand("copy");
+    }
+  });
 
-    // pointer -> svg coords
-    const wrapRect = wrapper.getBoundingClientRect();
-    const W = 1200, H = 720;
-    const px = e.clientX - wrapRect.left;
-    const py = e.clientY - wrapRect.top;
+  $("btnOutlineDownload").addEventListener("click", () => {
+    downloadBlob(new Blob([outlineText.value], { type: "text/markdown;charset=utf-8" }), "fishbone-outline.md");
+  });
 
-    const x = (px / wrapRect.width) * W;
-    const y = (py / wrapRect.height) * H;
+  $("fileImportOutline").addEventListener("change", (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => { outlineText.value = String(reader.result || ""); };
+    reader.readAsText(file, "utf-8");
+  });
 
-    // project point onto bone segment to find t
-    const t = projectT({x,y}, {x:bone.xSpine,y:bone.ySpine}, {x:bone.xEdge,y:bone.yEdge});
-    block.t = clamp(t + (drag.tOffset || 0), 0.08, 0.92);
+  $("btnOutlineImport").addEventListener("click", () => {
+    try {
+      const obj = outlineToModel(outlineText.value);
+      createDoc(normalizeModel(obj), obj.effectText ? "" : "Imported outline");
+      closeModal(outlineOverlay);
+    } catch (err) {
+      console.error(err);
+      alert("Could not read the outline. " + err.message);
+    }
+  });
 
+  // ---------------- CSV (spreadsheet) import & export ----------------
+  // One row per cause. A heading's own row has an empty Bullet and Level; bullet rows follow
+  // it in order, with Level giving the sub-cause depth (0 = top-level bullet).
+  // Heading # tells headings apart when two in a category share a title (or have none).
+  const CSV_FIELDS = [
+    { key: "category", header: "Category", aliases: ["category", "branch", "bone"] },
+    { key: "side", header: "Side", aliases: ["side"] },
+    { key: "headingNo", header: "Heading #", aliases: ["heading #", "heading no", "heading number", "heading id"] },
+    { key: "heading", header: "Heading", aliases: ["heading", "title", "group"] },
+    { key: "t", header: "Position t", aliases: ["position t", "t", "position"] },
+    { key: "bullet", header: "Bullet", aliases: ["bullet", "cause", "sub-cause", "subcause"] },
+    { key: "level", header: "Level", aliases: ["level", "depth", "indent"] },
+    { key: "votes", header: "Votes", aliases: ["votes", "vote"] },
+    { key: "rootCause", header: "Root cause", aliases: ["root cause", "rootcause", "suspected root cause"] },
+    { key: "verification", header: "Verification", aliases: ["verification", "verified", "status"] },
+    { key: "actions", header: "Actions", aliases: ["actions", "action", "action plan"] }
+  ];
+
+  const csvOverlay = $("csvOverlay");
+  let csvImport = null; // { headers, rows } of the file being mapped
+
+  function exportCausesCsv() {
+    const rows = [CSV_FIELDS.map(f => f.header)];
+    const metaCells = (item) => [
+      item.votes || "",
+      item.rootCause ? "yes" : "",
+      item.verification === "unverified" ? "" : item.verification,
+      item.actions.map(a => `${a.text} [${ACTION_STATUS_LABELS[a.status]}${a.owner ? ", " + a.owner : ""}]`).join("; ")
+    ];
+    walkCauses(c => {
+      const base = [c.cat.label, c.cat.side, c.cat.blocks.indexOf(c.block) + 1, c.block.title, Number(c.block.t).toFixed(3)];
+      if (c.kind === "heading") rows.push(base.concat(["", ""], metaCells(c.item)));
+      else if (c.item.text || c.item.children.length) rows.push(base.concat([c.item.text, c.depth - 1], metaCells(c.item)));
+    });
+    downloadBlob(new Blob([toCsv(rows)], { type: "text/csv;charset=utf-8" }), "fishbone-causes.csv");
+  }
 
-    drawRibs();
-    positionBlocks();
-    updateFloatingTools();
+  // RFC 4180-ish parser; guesses the delimiter (comma, semicolon or tab) from the header line
+  function parseCsv(text) {
+    text = String(text || "").replace(/^\ufeff/, "");
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delim = [",", ";", "\t"].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+    const rows = [];
+    let row = [], cell = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"' && cell === "") {
+        quoted = true;
+      } else if (ch === delim) {
+        row.push(cell); cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell); cell = "";
+        rows.push(row); row = [];
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim() !== ""));
   }
 
-  function onDragEnd() {
-  document.removeEventListener("pointermove", onDragMove);
-  drag = null;
-}
+  function guessCsvMapping(headers) {
+    const norm = headers.map(h => h.trim().toLowerCase());
+    const mapping = {};
+    CSV_FIELDS.forEach(f => {
+      const idx = norm.findIndex(h => f.aliases.includes(h));
+      mapping[f.key] = idx;
+    });
+    return mapping;
+  }
 
+  function csvTruthy(v) {
+    return /^(y|yes|true|1|x|✓)$/i.test(String(v || "").trim());
+  }
 
-  function projectT(p, a, b){
-    const abx = b.x - a.x, aby = b.y - a.y;
-    const apx = p.x - a.x, apy = p.y - a.y;
-    const denom = abx*abx + aby*aby;
-    if (denom < 1e-6) return 0;
-    return (apx*abx + apy*aby) / denom;
+  // Reads back the "text [Status, owner]; …" list the export writes; a plain "a; b" list works too
+  function csvActions(s) {
+    if (!s) return [];
+    const items = /\]$/.test(s) ? s.split(/(?<=\])\s*;\s*/) : s.split(/\s*;\s*/);
+    const statuses = Object.fromEntries(ACTION_STATUSES.map(k => [ACTION_STATUS_LABELS[k].toLowerCase(), k]));
+    return items.filter(Boolean).map(item => {
+      const m = /^(.*?)\s*\[([^\]]*)\]$/.exec(item);
+      if (!m) return { text: item, status: "open" };
+      const [label, ...owner] = m[2].split(",");
+      return { text: m[1], status: statuses[label.trim().toLowerCase()] || "open", owner: owner.join(",").trim() };
+    });
   }
 
-  // ---------------- Floating tools near selection ----------------
-  function updateFloatingTools() {
-    if (!selected.catId || !selected.blockId) {
-      floatingTools.style.display = "none";
-      return;
-    }
+  function csvRowsToModel(rows, mapping) {
+    // undo the ' that csvCell puts in front of formula-like text
+    const get = (row, key) => mapping[key] >= 0 ? String(row[mapping[key]] ?? "").replace(/^'(?=[=+\-@\t\r])/, "").trim() : "";
+    const meta = (row) => {
+      const ver = get(row, "verification").toLowerCase().replace(/\s+/g, "-");
+      return {
+        votes: Number(get(row, "votes")) || 0,
+        rootCause: csvTruthy(get(row, "rootCause")),
+        verification: ver === "yes" || ver === "true" ? "verified" : ver,
+        actions: csvActions(get(row, "actions"))
+      };
+    };
 
-    const el = blocksLayer.querySelector(`.block[data-block-id="${cssEscape(selected.blockId)}"]`);
-    if (!el) { floatingTools.style.display = "none"; return; }
+    const cats = new Map();   // label -> category
+    const blocks = new Map(); // label + Heading # (or the title, without that column) -> { block, stack }
+    rows.forEach(row => {
+      const label = get(row, "category") || "Uncategorised";
+      let cat = cats.get(label);
+      if (!cat) {
+        const side = get(row, "side").toLowerCase();
+        cat = { label, side: side === "top" || side === "bottom" ? side : undefined, blocks: [] };
+        cats.set(label, cat);
+      }
 
-    const wrapRect = wrapper.getBoundingClientRect();
-    const r = el.getBoundingClientRect();
+      const title = get(row, "heading");
+      const key = label + "\u0000" + (mapping.headingNo >= 0 ? "#" + get(row, "headingNo") : title);
+      let entry = blocks.get(key);
+      if (!entry) {
+        const t = parseFloat(get(row, "t"));
+        entry = { block: { title, bullets: [], t: isFinite(t) ? t : null }, stack: [] };
+        entry.stack = [entry.block.bullets];
+        blocks.set(key, entry);
+        cat.blocks.push(entry.block);
+      }
 
-    // place near top-right of selected block
-    const x = (r.right - wrapRect.left) + 8;
-    const y = (r.top - wrapRect.top) - 6;
+      // a heading's own row has neither Bullet nor Level: the export gives every bullet a Level,
+      // including one with no text that only holds sub-causes
+      const text = get(row, "bullet");
+      const levelText = get(row, "level");
+      if (!text && !levelText) {
+        Object.assign(entry.block, meta(row));
+        return;
+      }
+      const level = clamp(Math.round(Number(levelText) || 0), 0, entry.stack.length - 1);
+      const bullet = { text, children: [], ...meta(row) };
+      entry.stack[level].push(bullet);
+      entry.stack.length = level + 1;
+      entry.stack.push(bullet.children);
+    });
 
-    floatingTools.style.left = `${clamp(x, 8, wrapRect.width - 160)}px`;
-    floatingTools.style.top  = `${clamp(y, 8, wrapRect.height - 40)}px`;
-    floatingTools.style.display = "flex";
+    if (!cats.size) throw new Error("The file has no data rows.");
+    cats.forEach(cat => cat.blocks.forEach((b, k) => {
+      if (b.t === null) b.t = 0.15 + (k + 0.5) * (0.7 / cat.blocks.length);
+      if (!b.bullets.length) b.bullets.push({ text: "", children: [] });
+    }));
+    return { categories: Array.from(cats.values()) };
   }
 
-  btnAddHeading.addEventListener("click", () => {
-    if (!selected.catId) return;
-    const cat = model.categories.find(c => c.id === selected.catId);
-    if (!cat) return;
+  function openCsvDialog() {
+    csvImport = null;
+    $("csvMapping").innerHTML = "";
+    $("csvPreview").innerHTML = "";
+    $("csvImportStep").hidden = true;
+    openModal(csvOverlay);
+  }
 
-    // place new heading near selected one (slightly different t so it’s visible)
-    const sel = cat.blocks.find(b => b.id === selected.blockId);
-    const baseT = sel ? Number(sel.t ?? 0.3) : 0.3;
-    const newT = clamp(baseT + 0.10, 0.08, 0.92);
+  function renderCsvMapping() {
+    const wrap = $("csvMapping");
+    wrap.innerHTML = "";
+    CSV_FIELDS.forEach(f => {
+      const label = document.createElement("label");
+      label.className = "field";
+      label.textContent = f.header;
+      const sel = document.createElement("select");
+      sel.dataset.key = f.key;
+      const none = document.createElement("option");
+      none.value = "-1";
+      none.textContent = "(not in file)";
+      sel.appendChild(none);
+      csvImport.headers.forEach((h, i) => {
+        const o = document.createElement("option");
+        o.value = String(i);
+        o.textContent = h || `Column ${i + 1}`;
+        sel.appendChild(o);
+      });
+      sel.value = String(csvImport.mapping[f.key]);
+      sel.addEventListener("change", () => {
+        csvImport.mapping[f.key] = Number(sel.value);
+        renderCsvPreview();
+      });
+      label.appendChild(sel);
+      wrap.appendChild(label);
+    });
+    renderCsvPreview();
+  }
 
-    const nb = { id: uid(), title: "New heading", bullets: ["New bullet…"], t: newT };
-    cat.blocks.push(nb);
-    select(cat.id, nb.id);
-    renderAll();
-  });
+  function renderCsvPreview() {
+    const table = $("csvPreview");
+    table.innerHTML = "";
+    const thead = document.createElement("tr");
+    CSV_FIELDS.forEach(f => {
+      const th = document.createElement("th");
+      th.textContent = f.header;
+      thead.appendChild(th);
+    });
+    table.appendChild(thead);
+    csvImport.rows.slice(0, 8).forEach(row => {
+      const tr = document.createElement("tr");
+      CSV_FIELDS.forEach(f => {
+        const td = document.createElement("td");
+        const idx = csvImport.mapping[f.key];
+        td.textContent = idx >= 0 ? (row[idx] ?? "") : "";
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    $("csvRowCount").textContent = `${csvImport.rows.length} data row${csvImport.rows.length === 1 ? "" : "s"}` +
+      (csvImport.rows.length > 8 ? " (first 8 shown)" : "");
+  }
 
-  btnAddBullet.addEventListener("click", () => {
-    if (!selected.catId || !selected.blockId) return;
-    const cat = model.categories.find(c => c.id === selected.catId);
-    const block = cat?.blocks.find(b => b.id === selected.blockId);
-    if (!cat || !block) return;
+  $("btnCsv").addEventListener("click", openCsvDialog);
+  wireModal(csvOverlay, $("csvClose"));
+  $("btnCsvExport").addEventListener("click", exportCausesCsv);
 
-    if (!Array.isArray(block.bullets)) block.bullets = [];
-    block.bullets.push("");
-    renderAll();
+  $("fileImportCSV").addEventListener("change", (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const rows = parseCsv(reader.result);
+      if (rows.length < 2) { alert("That file has no data rows."); return; }
+      const headers = rows[0].map(h => h.trim());
+      csvImport = { name: file.name.replace(/\.(csv|tsv|txt)$/i, ""), headers, rows: rows.slice(1), mapping: guessCsvMapping(headers) };
+      $("csvImportStep").hidden = false;
+      renderCsvMapping();
+    };
+    reader.readAsText(file, "utf-8");
   });
 
-  // ---------------- Effect box move + resize persist ----------------
-  effectDrag.addEventListener("mousedown", (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    effectDragState = {
-      startX: e.clientX,
-      startY: e.clientY,
-      startDx: model.effectPos?.dx ?? 0,
-      startDy: model.effectPos?.dy ?? 0
-    };
-    document.addEventListener("mousemove", onEffectMove);
-    document.addEventListener("mouseup", onEffectUp, { once: true });
+  $("btnCsvImport").addEventListener("click", () => {
+    if (!csvImport) return;
+    if (csvImport.mapping.category < 0 && csvImport.mapping.heading < 0 && csvImport.mapping.bullet < 0) {
+      alert("Map at least one of Category, Heading or Bullet to a column.");
+      return;
+    }
+    try {
+      createDoc(normalizeModel(csvRowsToModel(csvImport.rows, csvImport.mapping)), csvImport.name);
+      closeModal(csvOverlay);
+    } catch (err) {
+      console.error(err);
+      alert("Could not import the CSV. " + err.message);
+    }
   });
 
-  function onEffectMove(e) {
-    if (!effectDragState) return;
-    const dx = e.clientX - effectDragState.startX;
-    const dy = e.clientY - effectDragState.startY;
-    model.effectPos = { dx: effectDragState.startDx + dx, dy: effectDragState.startDy + dy };
-    applyAppearance();
+  // ---------------- Vector export scene ----------------
+  // The on-screen diagram flattened into drawing primitives in wrapper pixels:
+  //   { type:"line", x1,y1,x2,y2, stroke, width }
+  //   { type:"path", points:[[x,y]...], fill }
+  //   { type:"rect", x,y,w,h, fill, stroke, strokeWidth, radius }
+  //   { type:"text", x,y, lines[], size, lineHeight, weight, fill, anchor }   (y = first baseline)
+  // Bones come from the live SVG groups; text positions come from where
+  // positionBlocks/positionLabels put the DOM elements, so exports match the screen.
+  const EXPORT_FONT = "Helvetica, Arial, sans-serif";
+  let measureCtx = null;
+
+  function measureTextWidth(text, size, weight) {
+    if (measureCtx === null) {
+      measureCtx = document.createElement("canvas").getContext?.("2d") || false;
+    }
+    if (!measureCtx) return text.length * size * 0.55;
+    measureCtx.font = `${weight || 400} ${size}px ${EXPORT_FONT}`;
+    return measureCtx.measureText(text).width;
   }
 
-  function onEffectUp() {
-    document.removeEventListener("mousemove", onEffectMove);
-    effectDragState = null;
+  function wrapText(text, maxWidth, size, weight) {
+    const out = [];
+    String(text || "").split(/\n/).forEach(para => {
+      const words = para.split(/\s+/).filter(Boolean);
+      let line = "";
+      words.forEach(word => {
+        const next = line ? line + " " + word : word;
+        if (line && measureTextWidth(next, size, weight) > maxWidth) {
+          out.push(line);
+          line = word;
+        } else {
+          line = next;
+        }
+      });
+      if (line) out.push(line);
+    });
+    return out;
   }
 
-  effectTextEl.addEventListener("input", () => {
-    model.effectText = effectTextEl.textContent.trim();
-  });
-
-  function setupEffectResizeObserver() {
-    if (!("ResizeObserver" in window)) return;
-    if (effectResizeObs) effectResizeObs.disconnect();
-    effectResizeObs = new ResizeObserver(() => {
-      const r = effectTextEl.getBoundingClientRect();
-      model.effectSize = { w: clamp(Math.round(r.width), 120, 800), h: clamp(Math.round(r.height), 70, 700) };
-    });
-    effectResizeObs.observe(effectTextEl);
+  // getComputedStyle gives rgb()/rgba(); jsPDF and SVG attributes want #rrggbb
+  function cssColorToHex(c, fallback) {
+    const m = String(c || "").match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+    if (!m || m[4] === "0") return fallback;
+    return "#" + [m[1], m[2], m[3]].map(v => Number(v).toString(16).padStart(2, "0")).join("");
   }
 
-  // ---------------- Side panel ----------------
-  const sidePanel = $("sidePanel");
-  $("openPanel").addEventListener("click", () => sidePanel.classList.add("open"));
-  $("closePanel").addEventListener("click", () => sidePanel.classList.remove("open"));
+  function boxIn(el) {
+    const r = rectInCanvas(el);
+    return { x: r.left, y: r.top, w: r.width, h: r.height };
+  }
 
-  function syncControlsFromModel() {
+  function buildExportScene() {
+    // the scene is in canvas units, which are also the SVG's user units
     const a = model.appearance || {};
-    $("boneColor").value = a.boneColor || "#c00000";
-    $("boneThickness").value = String(a.boneThickness ?? 10);
-    $("fontSize").value = String(a.fontSize ?? 12);
-    $("arrowWidth").value = String(a.arrowWidth ?? 140);
-    $("labelWidth").value = String(a.labelWidth ?? 200);
-    $("ribLength").value = String(a.ribLength ?? 150);
-    const bw = $("blockWidth");
-    if (bw) bw.value = String(a.blockWidth ?? 300);
-    $("boneSlant").value = String(a.boneSlant ?? 200);
+    const boneColor = a.boneColor || "#c00000";
+    const fontSize = Number(a.fontSize ?? 12);
+    const items = [];
+
+    // bones + ribs, copied straight from the SVG
+    [gStatic, gRibs].forEach(g => {
+      if (!g) return;
+      Array.from(g.children).forEach(el => {
+        if (el.tagName === "line") {
+          items.push({
+            type: "line",
+            x1: Number(el.getAttribute("x1")), y1: Number(el.getAttribute("y1")),
+            x2: Number(el.getAttribute("x2")), y2: Number(el.getAttribute("y2")),
+            stroke: el.getAttribute("stroke") || boneColor,
+            width: Number(el.getAttribute("stroke-width") || 1)
+          });
+        } else if (el.tagName === "path") {
+          const nums = (el.getAttribute("d") || "").match(/-?\d+(\.\d+)?/g) || [];
+          const points = [];
+          for (let i = 0; i + 1 < nums.length; i += 2) points.push([Number(nums[i]), Number(nums[i + 1])]);
+          items.push({ type: "path", points, fill: el.getAttribute("fill") || boneColor });
+        }
+      });
+    });
+
+    // category labels: boxed, centred, bone-coloured
+    labelsLayer.querySelectorAll(".catLabel").forEach(el => {
+      const b = boxIn(el);
+      const size = parseFloat(getComputedStyle(el).fontSize) || 14;
+      const lines = wrapText(el.textContent, b.w - 20, size, 700);
+      const lineHeight = size * 1.15;
+      items.push({ type: "rect", x: b.x, y: b.y, w: b.w, h: b.h, fill: "#ffffff", stroke: boneColor, strokeWidth: 2 });
+      items.push({
+        type: "text", x: b.x + b.w / 2, y: b.y + (b.h - lines.length * lineHeight) / 2 + size * 0.9,
+        lines, size, lineHeight, weight: 700, fill: boneColor, anchor: "middle"
+      });
+    });
+
+    // heading blocks: title + bullets
+    blocksLayer.querySelectorAll(".block").forEach(blockEl => {
+      const title = blockEl.querySelector(".titleText");
+      if (title && title.textContent.trim()) {
+        const b = boxIn(title);
+        const size = fontSize * 1.15;
+        items.push({
+          type: "text", x: b.x, y: b.y + size * 0.95,
+          lines: wrapText(title.textContent, Math.max(40, b.w), size, 800),
+          size, lineHeight: size * 1.2, weight: 800, fill: "#111111", anchor: "start"
+        });
+      }
+      blockEl.querySelectorAll(".bulletText").forEach(span => {
+        if (!span.textContent.trim()) return;
+        const b = boxIn(span);
+        const li = boxIn(span.closest("li") || span);
+        const lineHeight = fontSize * 1.25;
+        const baseline = b.y + fontSize * 0.95;
+        const marker = Number(span.dataset.depth) > 0 ? "–" : "•";
+        items.push({ type: "text", x: li.x - fontSize * 0.9, y: baseline, lines: [marker], size: fontSize, lineHeight, weight: 400, fill: "#111111", anchor: "start" });
+        items.push({
+          type: "text", x: b.x, y: baseline,
+          lines: wrapText(span.textContent, Math.max(40, b.w - 18), fontSize, 400),
+          size: fontSize, lineHeight, weight: 400, fill: "#111111", anchor: "start"
+        });
+      });
+    });
+
+    // vote / root-cause / verification badges
+    blocksLayer.querySelectorAll(".causeBadges .badge").forEach(el => {
+      const b = boxIn(el);
+      const cs = getComputedStyle(el);
+      const size = parseFloat(cs.fontSize) || fontSize * 0.8;
+      items.push({ type: "rect", x: b.x, y: b.y, w: b.w, h: b.h, fill: cssColorToHex(cs.backgroundColor, "#eeeeee"), radius: b.h / 2 });
+      items.push({
+        type: "text", x: b.x + b.w / 2, y: b.y + (b.h - size) / 2 + size * 0.85,
+        lines: [el.textContent], size, lineHeight: size, weight: 700, fill: cssColorToHex(cs.color, "#333333"), anchor: "middle"
+      });
+    });
+
+    // effect text sits on the arrow head, vertically centred like the flex box on screen
+    if (effectTextEl.textContent.trim()) {
+      const b = boxIn(effectTextEl);
+      const lineHeight = fontSize * 1.25;
+      const lines = wrapText(effectTextEl.textContent, b.w - 28, fontSize, 700);
+      items.push({
+        type: "text", x: b.x + 14, y: b.y + (b.h - lines.length * lineHeight) / 2 + fontSize * 0.95,
+        lines, size: fontSize, lineHeight, weight: 700, fill: "#ffffff", anchor: "start"
+      });
+    }
+
+    return { width: canvas.width, height: canvas.height, items };
   }
 
-  function wireAppearanceControls() {
-    $("boneColor").addEventListener("input", (e) => { model.appearance.boneColor = e.target.value; renderAll(); });
-    $("boneThickness").addEventListener("input", (e) => { model.appearance.boneThickness = Number(e.target.value); renderAll(); });
-    $("fontSize").addEventListener("input", (e) => { model.appearance.fontSize = Number(e.target.value); renderAll(); });
-    $("arrowWidth").addEventListener("input", (e) => { model.appearance.arrowWidth = Number(e.target.value); renderAll(); });
-    $("labelWidth").addEventListener("input", (e) => { model.appearance.labelWidth = Number(e.target.value); renderAll(); });
-    $("ribLength").addEventListener("input", (e) => { model.appearance.ribLength = Number(e.target.value); renderAll(); });
-    const bw = $("blockWidth");
-   if (bw) bw.addEventListener("input", (e) => { model.appearance.blockWidth = Number(e.target.value); renderAll(); });
-    $("boneSlant").addEventListener("input", (e) => { model.appearance.boneSlant = Number(e.target.value); renderAll(); });
+  // ---------------- SVG export ----------------
+  function xmlEscape(s) {
+    return String(s).replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[c]));
   }
 
-  // ---------------- Help modal ----------------
-  const helpOverlay = $("helpOverlay");
-  $("btnHelp").addEventListener("click", () => {
-    helpOverlay.classList.add("open");
-    helpOverlay.setAttribute("aria-hidden", "false");
-  });
-  $("helpClose").addEventListener("click", closeHelp);
-  helpOverlay.addEventListener("click", (e) => { if (e.target === helpOverlay) closeHelp(); });
-  document.addEventListener("keydown", (e) => { if (e.key === "Escape" && helpOverlay.classList.contains("open")) closeHelp(); });
+  function n2(x) { return String(Math.round(x * 100) / 100); }
+
+  function sceneToSvg(scene) {
+    const out = [];
+    out.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+    out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}">`);
+    out.push(`<title>${xmlEscape(model.effectText || "Fishbone diagram")}</title>`);
+    out.push(`<rect x="0" y="0" width="${scene.width}" height="${scene.height}" fill="#ffffff"/>`);
+
+    scene.items.forEach(it => {
+      if (it.type === "line") {
+        out.push(`<line x1="${n2(it.x1)}" y1="${n2(it.y1)}" x2="${n2(it.x2)}" y2="${n2(it.y2)}" stroke="${xmlEscape(it.stroke)}" stroke-width="${n2(it.width)}" stroke-linecap="butt"/>`);
+      } else if (it.type === "path") {
+        const d = it.points.map((p, i) => `${i ? "L" : "M"} ${n2(p[0])} ${n2(p[1])}`).join(" ") + " Z";
+        out.push(`<path d="${d}" fill="${xmlEscape(it.fill)}"/>`);
+      } else if (it.type === "rect") {
+        out.push(`<rect x="${n2(it.x)}" y="${n2(it.y)}" width="${n2(it.w)}" height="${n2(it.h)}" rx="${n2(it.radius || 0)}" fill="${xmlEscape(it.fill || "none")}"` +
+          (it.stroke ? ` stroke="${xmlEscape(it.stroke)}" stroke-width="${n2(it.strokeWidth || 1)}"` : "") + `/>`);
+      } else if (it.type === "text") {
+        const spans = it.lines.map((line, i) =>
+          `<tspan x="${n2(it.x)}" dy="${i ? n2(it.lineHeight) : 0}">${xmlEscape(line)}</tspan>`).join("");
+        out.push(`<text x="${n2(it.x)}" y="${n2(it.y)}" font-family="${EXPORT_FONT}" font-size="${n2(it.size)}" font-weight="${it.weight || 400}"` +
+          ` fill="${xmlEscape(it.fill)}" text-anchor="${it.anchor || "start"}" xml:space="preserve">${spans}</text>`);
+      }
+    });
 
-  function closeHelp() {
-    helpOverlay.classList.remove("open");
-    helpOverlay.setAttribute("aria-hidden", "true");
+    out.push(`</svg>`);
+    return out.join("\n");
   }
 
-  // ---------------- Export / import ----------------
-  $("btnExportJSON").addEventListener("click", () => {
-    const blob = new Blob([JSON.stringify(model, null, 2)], { type: "application/json;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "fishbone-model.json";
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  $("btnExportSVG").addEventListener("click", () => {
+    try {
+      const svgText = sceneToSvg(buildExportScene());
+      downloadBlob(new Blob([svgText], { type: "image/svg+xml;charset=utf-8" }), "fishbone-diagram.svg");
+    } catch (e) {
+      console.error(e);
+      alert("Could not export SVG.");
+    }
   });
 
-  $("fileImportJSON").addEventListener("change", (e) => {
-    const file = e.target.files && e.target.files[0];
-    e.target.value = "";
-    if (!file) return;
+  // ---------------- PNG export ----------------
+  // Rasterises the SVG export in the browser itself, so no capture library (or network) is needed
+  function svgToPngBlob(svgText, width, height, scale) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml;charset=utf-8" }));
+      const img = new Image();
+      img.onload = () => {
+        try {
+          const canvas = document.createElement("canvas");
+          canvas.width = Math.round(width * scale);
+          canvas.height = Math.round(height * scale);
+          const ctx = canvas.getContext("2d");
+          ctx.scale(scale, scale);
+          ctx.drawImage(img, 0, 0, width, height);
+          canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Canvas is empty")), "image/png");
+        } catch (e) {
+          reject(e);
+        } finally {
+          URL.revokeObjectURL(url);
+        }
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("Could not render the diagram SVG"));
+      };
+      img.src = url;
+    });
+  }
 
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const obj = JSON.parse(String(reader.result || ""));
-        const def = defaultModel();
-
-        // enforce exactly 6 categories; preserve order/labels if present
-        const cats = Array.isArray(obj.categories) ? obj.categories : [];
-        const fixed = def.categories.map((dc, i) => {
-          const sc = cats[i] || {};
-          return {
-            id: String(sc.id || dc.id || uid()),
-            side: dc.side,
-            label: String(sc.label || dc.label),
-            blocks: Array.isArray(sc.blocks) ? sc.blocks.map(sb => ({
-              id: String(sb.id || uid()),
-              title: String(sb.title || ""),
-              bullets: Array.isArray(sb.bullets) ? sb.bullets.map(x => String(x)) : [""],
-              t: clamp(Number(sb.t ?? 0.3), 0.08, 0.92)
-            })) : [mkBlock(0.3)]
-          };
-        });
+  $("btnExportPNG").addEventListener("click", async () => {
+    try {
+      const scene = buildExportScene();
+      const blob = await svgToPngBlob(sceneToSvg(scene), scene.width, scene.height, 2);
+      downloadBlob(blob, "fishbone-diagram.png");
+    } catch (e) {
+      console.error(e);
+      alert("Could not export PNG.");
+    }
+  });
 
-        model = {
-          version: 6,
-          effectText: String(obj.effectText || def.effectText),
-          effectPos: obj.effectPos && typeof obj.effectPos === "object"
-            ? { dx: Number(obj.effectPos.dx || 0), dy: Number(obj.effectPos.dy || 0) }
-            : def.effectPos,
-          effectSize: obj.effectSize && typeof obj.effectSize === "object"
-            ? { w: Number(obj.effectSize.w || def.effectSize.w), h: Number(obj.effectSize.h || def.effectSize.h) }
-            : def.effectSize,
-          appearance: { ...def.appearance, ...(obj.appearance || {}) },
-          categories: fixed
-        };
+  // ---------------- PDF export (vector, searchable text) ----------------
+  // Draws the same scene as the SVG export with jsPDF's vector API, scaled to fit
+  // a standard page, with an optional title block for quality records.
+  const PDF_PREFS_KEY = "fishbone.pdfOptions";
+  const PDF_PAGE_SIZES = { a4: "A4", a3: "A3", letter: "Letter", tabloid: "Tabloid" };
+  const MM_TO_PT = 72 / 25.4;
 
-        selected = { catId: null, blockId: null };
-        syncControlsFromModel();
-        renderAll();
-      } catch (err) {
-        console.error(err);
-        alert("Could not read JSON.");
-      }
-    };
-    reader.readAsText(file, "utf-8");
-  });
+  const pdfOverlay = $("pdfOverlay");
 
-  $("btnExportPNG").addEventListener("click", async () => {
-  wrapper.classList.add("export-clean");
-  prepareEffectBoxForExport();
+  function getJsPDF() {
+    const jsPDF =
+      (window.jspdf && window.jspdf.jsPDF) ||
+      (window.jspdf && window.jspdf.default && window.jspdf.default.jsPDF) ||
+      window.jsPDF;
+    if (!jsPDF) throw new Error("jsPDF not found on window. Check that vendor/jspdf.umd.min.js is next to index.html.");
+    return jsPDF;
+  }
 
-  try {
-    const canvas = await html2canvas(wrapper, { scale: 2 });
-    const a = document.createElement("a");
-    a.download = "fishbone-diagram.png";
-    a.href = canvas.toDataURL("image/png");
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-  } catch (e) {
-    console.error(e);
-    alert("Could not export PNG.");
-  } finally {
-    restoreEffectBoxAfterExport();
-    wrapper.classList.remove("export-clean");
+  function readPdfPrefs() {
+    const def = { pageSize: "a4", orientation: "auto", margin: 12, titleBlock: true };
+    try {
+      return { ...def, ...(JSON.parse(storageGet(PDF_PREFS_KEY) || "{}") || {}) };
+    } catch (e) {
+      return def;
+    }
   }
-});
 
-  $("btnExportPDF").addEventListener("click", async () => {
-  wrapper.classList.add("export-clean");
-  prepareEffectBoxForExport(); // keep arrow text aligned like the screen
+  function openPdfDialog() {
+    const prefs = readPdfPrefs();
+    const meta = model.meta || {};
+    $("pdfPageSize").value = PDF_PAGE_SIZES[prefs.pageSize] ? prefs.pageSize : "a4";
+    $("pdfOrientation").value = prefs.orientation;
+    $("pdfMargin").value = String(prefs.margin);
+    $("pdfTitleBlock").checked = !!prefs.titleBlock;
+    $("pdfProblem").value = meta.problem || "";
+    $("pdfProblem").placeholder = model.effectText || "";
+    $("pdfTeam").value = meta.team || "";
+    $("pdfFacilitator").value = meta.facilitator || "";
+    $("pdfDate").value = meta.date || new Date().toISOString().slice(0, 10);
+    syncPdfTitleFields();
+    openModal(pdfOverlay);
+  }
 
-  try {
-    // Use offset sizes (more reliable than getBoundingClientRect for export)
-    const w = wrapper.offsetWidth;
-    const h = wrapper.offsetHeight;
+  function syncPdfTitleFields() {
+    $("pdfTitleFields").disabled = !$("pdfTitleBlock").checked;
+  }
 
-    const canvas = await html2canvas(wrapper, {
-      scale: 2,
-      backgroundColor: "#ffffff",
-      width: w,
-      height: h,
-      windowWidth: w,
-      windowHeight: h,
-      scrollX: 0,
-      scrollY: 0
-    });
+  function exportPdf() {
+    const prefs = {
+      pageSize: $("pdfPageSize").value,
+      orientation: $("pdfOrientation").value,
+      margin: clamp(Number($("pdfMargin").value) || 0, 0, 50),
+      titleBlock: $("pdfTitleBlock").checked
+    };
+    storageSet(PDF_PREFS_KEY, JSON.stringify(prefs));
+
+    // title block details belong to the diagram, so they are saved (and undoable) with it
+    const meta = {
+      problem: $("pdfProblem").value.trim(),
+      team: $("pdfTeam").value.trim(),
+      facilitator: $("pdfFacilitator").value.trim(),
+      date: $("pdfDate").value
+    };
+    if (JSON.stringify(meta) !== JSON.stringify(model.meta || {})) {
+      model.meta = meta;
+      modelChanged();
+    }
 
-    const imgData = canvas.toDataURL("image/png");
+    try {
+      const scene = buildExportScene();
+      const jsPDF = getJsPDF();
+      const orientation = prefs.orientation === "auto"
+        ? (scene.width >= scene.height ? "landscape" : "portrait")
+        : prefs.orientation;
+      const pdf = new jsPDF({ unit: "pt", format: prefs.pageSize, orientation });
+      pdf.setProperties({ title: model.effectText || "Fishbone diagram", subject: "Fishbone (cause and effect) diagram" });
+
+      const pageW = pdf.internal.pageSize.getWidth();
+      const pageH = pdf.internal.pageSize.getHeight();
+      const m = prefs.margin * MM_TO_PT;
+
+      let areaH = pageH - 2 * m;
+      if (prefs.titleBlock) {
+        const blockH = drawPdfTitleBlock(pdf, m, pageH - m, pageW - 2 * m, meta);
+        areaH -= blockH + 10;
+      }
+      drawPdfScene(pdf, scene, m, m, pageW - 2 * m, areaH);
 
-    // html2pdf bundle exposes jsPDF on window.jspdf
-    const jsPDF =
-  (window.jspdf && window.jspdf.jsPDF) ||
-  (window.jspdf && window.jspdf.default && window.jspdf.default.jsPDF) ||
-  window.jsPDF;
+      pdf.save("fishbone-diagram.pdf");
+      closeModal(pdfOverlay);
+    } catch (e) {
+      console.error(e);
+      alert("Could not export PDF.");
+    }
+  }
 
-if (!jsPDF) {
-  throw new Error("jsPDF not found on window. Add jspdf.umd.min.js (see instructions).");
-}
+  // Fit the scene inside (x, y, w, h), centred, keeping its aspect ratio
+  function drawPdfScene(pdf, scene, x, y, w, h) {
+    const s = Math.min(w / scene.width, h / scene.height);
+    const ox = x + (w - scene.width * s) / 2;
+    const oy = y + (h - scene.height * s) / 2;
+    const X = (v) => ox + v * s;
+    const Y = (v) => oy + v * s;
+
+    scene.items.forEach(it => {
+      if (it.type === "line") {
+        pdf.setDrawColor(it.stroke);
+        pdf.setLineWidth(it.width * s);
+        pdf.setLineCap("butt");
+        pdf.line(X(it.x1), Y(it.y1), X(it.x2), Y(it.y2));
+      } else if (it.type === "path") {
+        if (it.points.length < 3) return;
+        const [p0, ...rest] = it.points;
+        let prev = p0;
+        const deltas = rest.map(p => {
+          const d = [(p[0] - prev[0]) * s, (p[1] - prev[1]) * s];
+          prev = p;
+          return d;
+        });
+        pdf.setFillColor(it.fill);
+        pdf.lines(deltas, X(p0[0]), Y(p0[1]), [1, 1], "F", true);
+      } else if (it.type === "rect") {
+        pdf.setFillColor(it.fill || "#ffffff");
+        if (it.stroke) {
+          pdf.setDrawColor(it.stroke);
+          pdf.setLineWidth((it.strokeWidth || 1) * s);
+        }
+        const style = it.stroke ? (it.fill && it.fill !== "none" ? "FD" : "S") : "F";
+        if (it.radius) pdf.roundedRect(X(it.x), Y(it.y), it.w * s, it.h * s, it.radius * s, it.radius * s, style);
+        else pdf.rect(X(it.x), Y(it.y), it.w * s, it.h * s, style);
+      } else if (it.type === "text") {
+        pdf.setFont("helvetica", (it.weight || 400) >= 600 ? "bold" : "normal");
+        pdf.setFontSize(it.size * s);
+        pdf.setTextColor(it.fill);
+        it.lines.forEach((line, i) => {
+          pdf.text(line, X(it.x), Y(it.y + i * it.lineHeight), { align: it.anchor === "middle" ? "center" : "left" });
+        });
+      }
+    });
+  }
 
-const pdf = new jsPDF({
-  unit: "pt",
-  format: [canvas.width, canvas.height],
-  orientation: canvas.width >= canvas.height ? "landscape" : "portrait"
-});
+  // Draws the title block with its bottom edge at `bottom`; returns its height
+  function drawPdfTitleBlock(pdf, x, bottom, w, meta) {
+    const pad = 6;
+    const labelSize = 7;
+    const valueSize = 10;
+    const problem = meta.problem || model.effectText || "";
+    const cols = [
+      { label: "Problem statement", value: problem, w: w * 0.46 },
+      { label: "Team", value: meta.team, w: w * 0.2 },
+      { label: "Facilitator", value: meta.facilitator, w: w * 0.2 },
+      { label: "Date", value: meta.date, w: w * 0.14 }
+    ];
+
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(valueSize);
+    cols.forEach(c => { c.lines = pdf.splitTextToSize(String(c.value || "—"), c.w - 2 * pad); });
+    const maxLines = Math.min(4, Math.max(...cols.map(c => c.lines.length)));
+    const h = pad * 2 + labelSize + 4 + maxLines * valueSize * 1.2;
+    const top = bottom - h;
+
+    pdf.setDrawColor("#444444");
+    pdf.setLineWidth(0.75);
+    pdf.rect(x, top, w, h, "S");
+
+    let cx = x;
+    cols.forEach((c, i) => {
+      if (i) pdf.line(cx, top, cx, bottom);
+      pdf.setFont("helvetica", "bold");
+      pdf.setFontSize(labelSize);
+      pdf.setTextColor("#666666");
+      pdf.text(c.label.toUpperCase(), cx + pad, top + pad + labelSize);
+      pdf.setFont("helvetica", "normal");
+      pdf.setFontSize(valueSize);
+      pdf.setTextColor("#111111");
+      c.lines.slice(0, maxLines).forEach((line, k) => {
+        pdf.text(line, cx + pad, top + pad + labelSize + 4 + valueSize + k * valueSize * 1.2);
+      });
+      cx += c.w;
+    });
 
-    pdf.addImage(imgData, "PNG", 0, 0, canvas.width, canvas.height);
-    pdf.save("fishbone-diagram.pdf");
-  } catch (e) {
-    console.error(e);
-    alert("Could not export PDF.");
-  } finally {
-    restoreEffectBoxAfterExport();
-    wrapper.classList.remove("export-clean");
+    return h;
   }
-});
-
 
-  $("btnReset").addEventListener("click", () => {
-    const ok = window.confirm("Reset to a fresh fishbone model?");
-    if (!ok) return;
-    model = defaultModel();
-    selected = { catId: null, blockId: null };
-    syncControlsFromModel();
-    renderAll();
+  $("btnExportPDF").addEventListener("click", openPdfDialog);
+  wireModal(pdfOverlay, $("pdfClose"));
+  $("pdfTitleBlock").addEventListener("change", syncPdfTitleFields);
+  $("pdfForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    exportPdf();
   });
 
+
+  $("btnReset").addEventListener("click", () => openTemplatePicker("reset"));
+
   window.addEventListener("resize", () => {
     drawStaticBones();
     drawRibs();
@@ -928,54 +5951,26 @@ wrapper.addEventListener("mousedown", (e) => {
   clearSelection();
 });
 
-let exportEffectRestore = null;
-
-function prepareEffectBoxForExport() {
-  const a = model.appearance || {};
-  const arrowW = Number(a.arrowWidth ?? 140);
-  const dx = model.effectPos?.dx ?? 0;
-  const dy = model.effectPos?.dy ?? 0;
-
-  const wrapRect = wrapper.getBoundingClientRect();
-
-  // Save inline styles so we can restore them after export
-  exportEffectRestore = {
-    left: effectBox.style.left,
-    top: effectBox.style.top,
-    transform: effectBox.style.transform,
-    marginLeft: effectBox.style.marginLeft,
-    marginTop: effectBox.style.marginTop
-  };
-
-  // Remove margin-based offsets and bake them into left/top pixels
-  effectBox.style.marginLeft = "0px";
-  effectBox.style.marginTop = "0px";
-
-  // Match the CSS anchor: (wrapperWidth - arrowWidth - 20)
-  const baseLeft = wrapRect.width - arrowW - 20;
-
-  effectBox.style.left = (baseLeft + dx) + "px";
-  effectBox.style.top = (wrapRect.height * 0.5 + dy) + "px";
-  effectBox.style.transform = "translateY(-50%)";
-}
-
-function restoreEffectBoxAfterExport() {
-  if (!exportEffectRestore) return;
-
-  effectBox.style.left = exportEffectRestore.left;
-  effectBox.style.top = exportEffectRestore.top;
-  effectBox.style.transform = exportEffectRestore.transform;
-  effectBox.style.marginLeft = exportEffectRestore.marginLeft;
-  effectBox.style.marginTop = exportEffectRestore.marginTop;
-
-  exportEffectRestore = null;
-}
-
+  // ---------------- Offline / installable app ----------------
+  // The service worker caches the app shell so it keeps working with no network.
+  // It needs http(s); opened from file:// everything is already local anyway.
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+    if (!/^https?:$/.test(location.protocol)) return;
+    navigator.serviceWorker.register("sw.js").catch(err => console.warn("Service worker not registered", err));
+  }
 
   // ---------------- Init ----------------
+  restoreLastSession();
+  resetHistory();
   syncControlsFromModel();
   wireAppearanceControls();
+  wireCanvasControls();
+  wireZoomControls();
   setupEffectResizeObserver();
   renderAll();
+  registerServiceWorker();
+  openCollabFromLink();
+  openShareLink();
 
 })();
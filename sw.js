@@ -0,0 +1,57 @@
+/* sw.js
+   Offline support for the Fishbone Diagram Tool.
+
+   - Pre-caches the app shell (page, script, vendored jsPDF, manifest, icon) on install.
+   - Serves same-origin GETs from the cache first, refreshing the cached copy in the
+     background when the network is available (stale-while-revalidate).
+   - Offline, a page that was never cached gets the cached app shell instead.
+   - Bump CACHE_NAME when the shell file list changes; old caches are removed on activate.
+*/
+
+const CACHE_NAME = "fishbone-v1";
+const SHELL = [
+  "./",
+  "index.html",
+  "fishbone.js",
+  "vendor/jspdf.umd.min.js",
+  "manifest.webmanifest",
+  "icon.svg"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache =>
+      cache.match(req, { ignoreSearch: true }).then(cached => {
+        const network = fetch(req)
+          .then(res => {
+            if (res && res.ok) cache.put(req, res.clone());
+            return res;
+          })
+          // offline with nothing cached: pages fall back to the app shell, anything else fails
+          // cleanly (respondWith rejects an undefined response)
+          .catch(() => req.mode === "navigate" ? cache.match("index.html") : undefined)
+          .then(res => res || Response.error());
+        return cached || network;
+      })
+    )
+  );
+});